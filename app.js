@@ -20,6 +20,10 @@
  * @apiParam (Sensor) {String} unit the unit of the phenomenon the sensor observes.
  * @apiParam (Sensor) {String} sensorType the type of the sensor.
  * @apiParam (Sensor) {String} icon the visual representation for the openSenseMap of this sensor.
+ * @apiParam (Sensor) {String} phenomenon (optional) the id or an alias of the observed phenomenon, see `GET /phenomena`. Determined from the title if omitted.
+ * @apiParam (Sensor) {Number} minValue (optional) measurements below this value are implausible. Defaults to the range of known sensor types.
+ * @apiParam (Sensor) {Number} maxValue (optional) measurements above this value are implausible. Defaults to the range of known sensor types.
+ * @apiParam (Sensor) {Number} maxRateOfChange (optional) measurements changing more than this value per minute compared to the previous measurement are implausible.
  *
  */
 
@@ -37,6 +41,7 @@
  * @apiParam (MqttOption) {String} decodeOptions a json encoded string with options for decoding the message. 'jsonPath' for 'json' messageFormat.
  * @apiParam (MqttOption) {String} connectionOptions a json encoded string with options to supply to the mqtt client (https://github.com/mqttjs/MQTT.js#client)
  *
+ * If the senseBox requires authentication, the first line of every mqtt message has to be a device token of the senseBox. The rest of the message is decoded as usual.
  */
 
 /**
@@ -46,17 +51,34 @@
  * @apiParam (RequestBody) {String} grouptag the grouptag of this senseBox.
  * @apiParam (RequestBody) {String="indoor","outdoor"} exposure the exposure of this senseBox.
  * @apiParam (RequestBody) {String} grouptag the grouptag of this senseBox.
- * @apiParam (RequestBody) {String="fixed"} boxType the type of the senseBox. Currently only 'fixed' is supported.
+ * @apiParam (RequestBody) {String="fixed","mobile"} boxType the type of the senseBox. Measurements of mobile senseBoxes can carry their own location, the location of the senseBox is updated to the latest one.
  * @apiParam (RequestBody) {Sensor[]} sensors an array containing the sensors of this senseBox.
  * @apiParam (RequestBody) {MqttOption} sensors an array containing the sensors of this senseBox.
+ * @apiParam (RequestBody) {String="reject","flag","off"} plausibilityMode=reject what to do with measurements violating the plausibility settings of their sensor. `reject` does not store them and reports them in the response, `flag` stores them with the quality `suspect` (see the parameter `quality` of the downloads), but does not show them as lastMeasurement of their sensor.
  * @apiParam (RequestBody) {Location} loc the location of this senseBox. Must be a GeoJSON Point Feature. (RFC7946)
+ * @apiParam (RequestBody) {Boolean} requireAuthentication=false if `true`, measurements are only accepted with a device token of this senseBox. Device tokens are managed with `/boxes/:senseBoxId/tokens`.
  *
  */
 
+/**
+ * @apiDefine viewer Collaborators with the role viewer, editor or owner
+ * Signed in collaborators of the senseBox need at least the role `viewer`. The apikey always grants all permissions.
+ */
+
+/**
+ * @apiDefine editor Collaborators with the role editor or owner
+ * Signed in collaborators of the senseBox need at least the role `editor`. The apikey always grants all permissions.
+ */
+
+/**
+ * @apiDefine owner Owners of the senseBox
+ * Only the owner of the senseBox and collaborators with the role `owner` are allowed.
+ */
+
 /**
  * @apiDefine AuthorizationRequiredError
  *
- * @apiHeader {String} x-apikey the secret API key which corresponds to the <code>senseBoxId</code> parameter.
+ * @apiHeader {String} x-apikey the secret API key which corresponds to the <code>senseBoxId</code> parameter. Signed in users can send `Authorization: Bearer <token>` instead.
  * @apiHeaderExample {String} x-apikey header example:
  *   x-apikey: 576efef4cb9b9ebe057bf7b4
  * @apiError {Object} 403 the request has invalid or missing credentials.
@@ -65,6 +87,13 @@
  *     {"code":"NotAuthorized","message":"ApiKey is invalid or missing"}
  */
 
+/**
+ * @apiDefine DeviceTokenParam
+ *
+ * @apiHeader {String} x-device-token a device token of the senseBox. Only required if the senseBox requires authentication. Can also be sent as query parameter `token`.
+ * @apiError {Object} 403 the senseBox requires authentication and the device token is invalid or missing.
+ */
+
 /**
  * @apiDefine BoxIdParam
  *
@@ -83,7 +112,6 @@ var restify = require('restify'),
   mongoose = require('mongoose'),
   fs = require('fs'),
   GeoJSON = require('geojson'),
-  _ = require('lodash'),
   models = require('./lib/models'),
   csvstringify = require('csv-stringify'),
   csvtransform = require('stream-transform'),
@@ -92,12 +120,32 @@ var restify = require('restify'),
   request = require('request'),
   mails = require('./lib/mails'),
   util = require('util'),
+  url = require('url'),
   jsonstringify = require('stringify-stream'),
   utils = require('./lib/utils'),
+  boxFilters = require('./lib/boxFilters'),
+  aggregation = require('./lib/aggregation'),
+  measurementColumns = require('./lib/measurementColumns'),
+  exportJobs = require('./lib/exportJobs'),
+  plausibility = require('./lib/plausibility'),
+  qualityFlags = require('./lib/qualityFlags'),
+  phenomena = require('./lib/phenomena'),
+  units = require('./lib/units'),
+  wideFormat = require('./lib/wideFormat'),
+  resample = require('./lib/resample'),
+  interpolation = require('./lib/interpolation'),
+  binning = require('./lib/binning'),
+  clustering = require('./lib/clustering'),
+  trajectory = require('./lib/trajectory'),
+  locationHistory = require('./lib/locationHistory'),
+  deviceTokens = require('./lib/deviceTokens'),
+  accounts = require('./lib/accounts'),
+  collaborators = require('./lib/collaborators'),
   decodeHandlers = require('./lib/decoding');
 
 var Honeybadger = utils.Honeybadger,
-  cfg = utils.config;
+  cfg = utils.config,
+  requireRole = collaborators.requireRole;
 
 mongoose.Promise = require('bluebird');
 
@@ -147,22 +195,16 @@ var server = restify.createServer({
   log: reqlog
 });
 
-// We're using caddy as proxy. It supplies a 'X-Forwarded-Proto' header
-// which contains the request scheme (http/https)
-// respond every GET request with a notice to use the https api.
-// Also allow POST measurements through unsecured
-// /boxes/:boxId/data and /boxes/:boxId/:sensorId for arduinos
+// respond every request through http with a notice to use the https api,
+// except uploads of measurements (see utils.checkUnsecuredRequest)
 // and set utf-8 charset
-let validUnsecuredPathRegex = new RegExp('^\\' + PATH + '\/[a-f\\d]{24}\/((data)|([a-f\\d]{24}))\/?$', 'i');
 server.pre(function (request, response, next) {
   response.charSet('utf-8');
   request.log.info({req: request}, 'REQUEST');
 
-  if (process.env.ENV === 'prod'
-    && (!request.headers['x-forwarded-proto'] || request.headers['x-forwarded-proto'] !== 'https')) {
-    if (request.method !== 'POST' || !validUnsecuredPathRegex.test(request.url)) {
-      return next(new restify.NotAuthorizedError('Access through http is not allowed'));
-    }
+  let unsecuredError = utils.checkUnsecuredRequest(request);
+  if (unsecuredError) {
+    return next(unsecuredError);
   }
   return next();
 });
@@ -175,7 +217,9 @@ server.pre(restify.pre.sanitizePath());
 var Measurement = models.Measurement,
   Box = models.Box,
   Sensor = models.Sensor,
-  User = models.User;
+  User = models.User,
+  ExportJob = models.ExportJob,
+  QualityFlag = models.QualityFlag;
 
 // the ones matching first are used
 // case is ignored
@@ -223,30 +267,81 @@ server.get({path: PATH , version: '0.0.1'} , findAllBoxes);
 // the regex matches strings like 'boxes.blabla' where 'blaba' could be 'geojson' or 'json'
 // this does not work anymore but I might consider reimplementing it..
 server.get({path: /(boxes)\.([a-z]+)/, version: '0.1.0'} , findAllBoxes);
+server.get({path: PATH + '/latest', version: '0.1.0'}, getLatestMeasurements);
+server.get({path: PATH + '/interpolation', version: '0.1.0'}, getInterpolation);
+server.get({path: PATH + '/bins', version: '0.1.0'}, getBins);
 server.get({path: PATH + '/:boxId' , version: '0.0.1'} , findBox);
 server.get({path: PATH + '/:boxId/sensors', version: '0.0.1'}, getMeasurements);
 server.get({path: PATH + '/:boxId/data/:sensorId', version: '0.0.1'}, getData);
 server.get({path: PATH + '/data', version: '0.1.0'}, getDataMulti);
+server.get({path: PATH + '/:boxId/data', version: '0.1.0'}, getResampledData);
+server.get({path: PATH + '/:boxId/locations', version: '0.1.0'}, getLocations);
 server.get({path: '/stats', version: '0.1.0'}, getStatistics);
+server.get({path: '/phenomena', version: '0.1.0'}, getPhenomena);
+server.get({path: '/exports/:exportId', version: '0.1.0'}, getExport);
+server.get({path: '/exports/:exportId/download', version: '0.1.0'}, getExportDownload);
 server.get({path: PATH + '/:boxId/:sensorId/submitMeasurement/:value' , version: '0.0.1'}, postNewMeasurement);
+server.get({path: PATH + '/:boxId/:sensorId/flags', version: '0.1.0'}, getQualityFlags);
 
 // POST
 server.post({path: PATH , version: '0.0.1'}, postNewBox);
 server.post({path: PATH + '/:boxId/:sensorId' , version: '0.0.1'}, postNewMeasurement);
 server.post({path: PATH + '/:boxId/data' , version: '0.1.0'}, postNewMeasurements);
 server.post({path: PATH + '/data', version: '0.1.0'}, getDataMulti);
+server.post({path: PATH + '/within', version: '0.1.0'}, findAllBoxes);
+server.post({path: '/exports', version: '0.1.0'}, postNewExport);
+server.post({path: userPATH + '/register', version: '0.1.0'}, registerUser);
+server.post({path: userPATH + '/sign-in', version: '0.1.0'}, signIn);
+
+// user accounts (need authorization through the session token)
+server.get({path: userPATH + '/me', version: '0.1.0'}, getMe);
+server.post({path: userPATH + '/me/boxes', version: '0.1.0'}, addBoxToAccount);
 
 // Secured (needs authorization through apikey)
 
 // attach a function to secured requests to validate api key and box id
 server.use(function validateAuthenticationRequest (req, res, next) {
+  // signed in users are owners of the senseBoxes of their account
+  // and have their role for senseBoxes they collaborate on
+  if (accounts.bearerTokenOf(req) && req.boxId) {
+    return accounts.findUserForRequest(req)
+      .then(function (user) {
+        if (user instanceof Error) {
+          return next(user);
+        }
+        if (user.boxes.includes(req.boxId)) {
+          req.authorized_user = user;
+          req.box_role = 'owner';
+          return next();
+        }
+        return Box.findById(req.boxId)
+          .select('+collaborators')
+          .then(function (box) {
+            let role = box ? box.roleOf(user._id) : undefined;
+            if (role) {
+              req.authorized_user = user;
+              req.box_role = role;
+              return next();
+            }
+            next(new restify.NotAuthorizedError('senseBox does not belong to this account'));
+          });
+      })
+      .catch(function (err) {
+        console.log(err);
+        Honeybadger.notify(err);
+        next(new restify.InternalServerError());
+      });
+  }
   if (req.headers['x-apikey'] && req.boxId) {
-    User.findOne({ apikey: req.headers['x-apikey'], boxes: { $in: [ req.boxId ] } })
+    // previous apikeys are accepted until the end of their grace period
+    User.findByApikey(req.headers['x-apikey'], req.boxId)
       .then(function (user) {
         if (user && user.boxes.length > 0) {
           const boxIds = user.boxes.map(boxId => boxId.toString());
           if (boxIds.includes(req.boxId)) {
             req.authorized_user = user;
+            req.authorized_with_previous_apikey = user.apikey !== req.headers['x-apikey'];
+            req.box_role = 'owner';
             return next();
           }
         }
@@ -262,15 +357,31 @@ server.use(function validateAuthenticationRequest (req, res, next) {
   }
 });
 
+// the handler requireRole rejects requests without the
+// required role of the user for the senseBox
+
 // GET
-server.get({path: userPATH + '/:boxId', version: '0.0.1'}, validApiKey);
-server.get({path: PATH + '/:boxId/script', version: '0.1.0'}, getScript);
+server.get({path: userPATH + '/:boxId', version: '0.0.1'}, requireRole('viewer'), validApiKey);
+server.get({path: PATH + '/:boxId/script', version: '0.1.0'}, requireRole('viewer'), getScript);
+server.get({path: PATH + '/:boxId/tokens', version: '0.1.0'}, requireRole('editor'), getDeviceTokens);
+server.get({path: PATH + '/:boxId/collaborators', version: '0.1.0'}, requireRole('viewer'), getCollaborators);
+
+// POST
+server.post({path: PATH + '/:boxId/:sensorId/flags', version: '0.1.0'}, requireRole('editor'), postNewQualityFlag);
+server.post({path: PATH + '/:boxId/tokens', version: '0.1.0'}, requireRole('editor'), postNewDeviceToken);
+server.post({path: PATH + '/:boxId/collaborators', version: '0.1.0'}, requireRole('owner'), postNewCollaborator);
 
 // PUT
-server.put({path: PATH + '/:boxId' , version: '0.1.0'} , updateBox);
+server.put({path: PATH + '/:boxId' , version: '0.1.0'} , requireRole('editor'), updateBox);
+server.put({path: PATH + '/:boxId/apikey', version: '0.1.0'}, requireRole('owner'), rotateApikey);
 
 // DELETE
-server.del({path: PATH + '/:boxId' , version: '0.1.0'} , deleteBox);
+server.del({path: PATH + '/:boxId' , version: '0.1.0'} , requireRole('owner'), deleteBox);
+server.del({path: PATH + '/:boxId/:sensorId/measurements', version: '0.1.0'}, requireRole('owner'), deleteMeasurements);
+server.del({path: PATH + '/:boxId/:sensorId/flags/:flagId', version: '0.1.0'}, requireRole('editor'), deleteQualityFlag);
+server.del({path: PATH + '/:boxId/tokens/:tokenId', version: '0.1.0'}, requireRole('editor'), deleteDeviceToken);
+server.del({path: PATH + '/:boxId/apikey/previous', version: '0.1.0'}, requireRole('owner'), revokePreviousApikeys);
+server.del({path: PATH + '/:boxId/collaborators/:userId', version: '0.1.0'}, requireRole('owner'), deleteCollaborator);
 
 
 // helper function to determine the requested format
@@ -282,6 +393,18 @@ function getFormat (req, allowed_formats, default_format) {
   }
 }
 
+/**
+ * @apiDefine QualityParam
+ *
+ * @apiParam {String} quality Comma separated list of the qualities of the measurements to return. Possible values: `unflagged`, `suspect`, `invalid`, `corrected` or the shortcuts `all` (default) and `flagged`. The flag and its reason are returned in `quality` and `qualityReason`. Implausible measurements stored by senseBoxes with `plausibilityMode` flag are `suspect`. csv downloads only contain these columns if `quality` is given.
+ */
+
+/**
+ * @apiDefine UnitParam
+ *
+ * @apiParam {String} unit (optional) Convert the values to this unit, for example `°F`, `K`, `Pa`, `inHg` or `mph`. Accepts a comma separated list with one unit per quantity. The units are converted according to the phenomenon of the sensors. Returns 422 if a conversion is not supported.
+ */
+
 /**
  * @apiDefine SeparatorParam
  *
@@ -299,7 +422,7 @@ function getSeparator (req) {
 
 function unknownMethodHandler (req, res) {
   if (req.method.toLowerCase() === 'options') {
-    var allowHeaders = ['Accept', 'X-ApiKey', 'Accept-Version', 'Content-Type', 'Api-Version', 'Origin', 'X-Requested-With']; // added Origin & X-Requested-With
+    var allowHeaders = ['Accept', 'X-ApiKey', 'Accept-Version', 'Content-Type', 'Api-Version', 'Origin', 'X-Requested-With', 'Authorization', 'X-Device-Token']; // added Origin & X-Requested-With
 
     if (res.methods.indexOf('OPTIONS') === -1) {
       res.methods.push('OPTIONS');
@@ -322,6 +445,7 @@ server.on('MethodNotAllowed', unknownMethodHandler);
  * @api {get} /users/:senseBoxId Validate authorization
  * @apiGroup Boxes
  * @apiUse AuthorizationRequiredError
+ * @apiPermission viewer
  * @apiUse BoxIdParam
  * @apiParam {String} returnBox if supplied and non-empty, returns the senseBox with the senseBoxId with hidden fields
  * @apiDescription Validate authorization through API key and senseBoxId. Will return status code 403 if invalid, 200 if valid.
@@ -349,6 +473,204 @@ function validApiKey (req, res, next) {
   }
 }
 
+/**
+ * @apiDefine SessionRequiredError
+ *
+ * @apiHeader {String} Authorization the token returned by `POST /users/sign-in` or `POST /users/register` as `Bearer <token>`.
+ * @apiError {Object} 403 the session token is invalid, expired or missing.
+ */
+
+/**
+ * @api {post} /users/register Register a user account
+ * @apiDescription Create a user account which can own multiple senseBoxes. The account has one apikey for all its senseBoxes. Sign in to add new senseBoxes to the account with `POST /boxes` or existing senseBoxes with `POST /users/me/boxes`.
+ * @apiName registerUser
+ * @apiGroup Users
+ * @apiVersion 0.1.0
+ * @apiParam (RequestBody) {String} firstname the firstname of the user
+ * @apiParam (RequestBody) {String} lastname the lastname of the user
+ * @apiParam (RequestBody) {String} email the email of the user, used to sign in
+ * @apiParam (RequestBody) {String} password the password of the user, at least 8 characters
+ * @apiParam (RequestBody) {String} language the language of the user
+ * @apiSuccess (Created 201) {String} token the session token
+ * @apiSuccess (Created 201) {Object} user the created user
+ */
+function registerUser (req, res, next) {
+  for (let param of ['firstname', 'lastname', 'email']) {
+    if (typeof req.params[param] !== 'string' || req.params[param].trim() === '') {
+      return next(new restify.UnprocessableEntityError('missing parameter ' + param));
+    }
+  }
+  let passwordError = accounts.validatePassword(req.params['password']);
+  if (passwordError) {
+    return next(passwordError);
+  }
+
+  User.findAccountByEmail(req.params['email'])
+    .then(function (existing) {
+      if (existing) {
+        return next(new restify.InvalidArgumentError('An account with this email already exists'));
+      }
+
+      return accounts.hashPassword(req.params['password'])
+        .then(function (hash) {
+          return new User({
+            firstname: req.params['firstname'],
+            lastname: req.params['lastname'],
+            email: req.params['email'].trim().toLowerCase(),
+            apikey: accounts.generateApiKey(),
+            boxes: [],
+            language: req.params['language'],
+            password: hash
+          }).save();
+        })
+        .then(function (user) {
+          res.send(201, { token: accounts.issueToken(user), user: accounts.describeUser(user) });
+        });
+    })
+    .catch(function (err) {
+      // registered by a concurrent request in the meantime
+      if (err.code === 11000) {
+        return next(new restify.InvalidArgumentError('An account with this email already exists'));
+      }
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {post} /users/sign-in Sign in to a user account
+ * @apiDescription Sign in with email and password. The returned token is valid for one day and has to be sent as `Authorization: Bearer <token>`. With it, the senseBoxes of the account can be managed without their apikey.
+ * @apiName signIn
+ * @apiGroup Users
+ * @apiVersion 0.1.0
+ * @apiParam (RequestBody) {String} email the email of the user
+ * @apiParam (RequestBody) {String} password the password of the user
+ * @apiSuccess {String} token the session token
+ * @apiSuccess {Object} user the signed in user
+ */
+function signIn (req, res, next) {
+  if (typeof req.params['email'] === 'undefined' || typeof req.params['password'] === 'undefined') {
+    return next(new restify.NotAuthorizedError('Email or password is invalid'));
+  }
+
+  User.findAccountByEmail(req.params['email'])
+    .then(function (user) {
+      if (!user) {
+        return next(new restify.NotAuthorizedError('Email or password is invalid'));
+      }
+
+      return accounts.verifyPassword(req.params['password'], user.password)
+        .then(function (valid) {
+          if (!valid) {
+            return next(new restify.NotAuthorizedError('Email or password is invalid'));
+          }
+          res.send(200, { token: accounts.issueToken(user), user: accounts.describeUser(user) });
+        });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {get} /users/me Get the signed in user
+ * @apiDescription Get the signed in user with the `_id`, `name`, `boxType` and `exposure` of the senseBoxes of the account. `sharedBoxes` contains the senseBoxes the user collaborates on with the `role` of the user.
+ * @apiName getMe
+ * @apiGroup Users
+ * @apiVersion 0.1.0
+ * @apiUse SessionRequiredError
+ * @apiSuccess {Object} user the signed in user
+ */
+function getMe (req, res, next) {
+  accounts.findUserForRequest(req)
+    .then(function (user) {
+      if (!user) {
+        return next(new restify.NotAuthorizedError('Session is invalid or missing'));
+      }
+      if (user instanceof Error) {
+        return next(user);
+      }
+
+      let userId = user._id.toString();
+      return Promise.all([
+        Box.find({ _id: { '$in': user.boxes } }, { name: 1, boxType: 1, exposure: 1 }).lean().exec(),
+        Box.find({ 'collaborators.user': userId }, { name: 1, boxType: 1, exposure: 1, collaborators: 1 }).lean().exec()
+      ])
+        .then(function (results) {
+          let account = accounts.describeUser(user);
+          account.boxes = results[0];
+          account.sharedBoxes = results[1].map(function (box) {
+            box.role = box.collaborators.find(c => c.user === userId).role;
+            box.collaborators = undefined;
+            return box;
+          });
+          res.send(200, account);
+        });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {post} /users/me/boxes Add an existing senseBox to the account
+ * @apiDescription Move an existing senseBox into the account of the signed in user. The senseBox is identified by its ID and apikey. Afterwards, the senseBox is managed with the apikey of the account and its previous apikey is no longer valid.
+ * @apiName addBoxToAccount
+ * @apiGroup Users
+ * @apiVersion 0.1.0
+ * @apiUse SessionRequiredError
+ * @apiParam (RequestBody) {String} boxId the ID of the senseBox
+ * @apiParam (RequestBody) {String} apikey the current apikey of the senseBox
+ * @apiSuccess {Object} user the signed in user
+ */
+function addBoxToAccount (req, res, next) {
+  if (!req.boxId || typeof req.params['apikey'] === 'undefined') {
+    return next(new restify.UnprocessableEntityError('missing parameter boxId or apikey'));
+  }
+
+  accounts.findUserForRequest(req)
+    .then(function (account) {
+      if (!account) {
+        return next(new restify.NotAuthorizedError('Session is invalid or missing'));
+      }
+      if (account instanceof Error) {
+        return next(account);
+      }
+
+      return User.findOne({ apikey: req.params['apikey'], boxes: { $in: [ req.boxId ] } })
+        .select('+password')
+        .exec()
+        .then(function (owner) {
+          if (!owner) {
+            return next(new restify.NotAuthorizedError('ApiKey is invalid or missing'));
+          }
+          if (owner._id.equals(account._id)) {
+            return res.send(200, accounts.describeUser(account));
+          }
+
+          owner.boxes = owner.boxes.filter(boxId => boxId !== req.boxId);
+          account.boxes.push(req.boxId);
+
+          // users created along with a single senseBox are removed with their last senseBox
+          let removeOrSave = (owner.boxes.length === 0 && !owner.password) ? owner.remove() : owner.save();
+          return Promise.all([removeOrSave, account.save()])
+            .then(function () {
+              res.send(200, accounts.describeUser(account));
+            });
+        });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
 function decodeBase64Image (dataString) {
   var matches = dataString.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/),
     response = {};
@@ -365,7 +687,7 @@ function decodeBase64Image (dataString) {
 
 /**
  * @api {put} /boxes/:senseBoxId Update a senseBox: Image and sensor names
- * @apiDescription Modify the specified senseBox.
+ * @apiDescription Modify the specified senseBox. Deleting sensors and changing `requireAuthentication` or `mqtt` requires the role `owner`.
  *
  * @apiUse CommonBoxJSONBody
  * @apiUse SensorBody
@@ -373,6 +695,7 @@ function decodeBase64Image (dataString) {
  *
  * @apiParam (RequestBody) {String} description the updated description of this senseBox.
  * @apiParam (RequestBody) {String} image the updated image of this senseBox encoded as base64 data uri.
+ * @apiParam (RequestBody) {Object} loc the new location of this senseBox as `{"lng": lng, "lat": lat}`. The previous location is kept in the location history of the senseBox, see `GET /boxes/:senseBoxId/locations`. Invalid coordinates are refused with status 422.
  * @apiParamExample {json} Request-Example:
  * {
  *  "_id": "56e741ff933e450c0fe2f705",
@@ -406,6 +729,7 @@ function decodeBase64Image (dataString) {
  * @apiGroup Boxes
  * @apiName updateBox
  * @apiUse AuthorizationRequiredError
+ * @apiPermission editor
  * @apiUse BoxIdParam
  *
  */
@@ -425,6 +749,39 @@ function updateBox (req, res, next) {
   */
   utils.checkContentType(req, next);
 
+  if (Array.isArray(req.params.sensors)) {
+    var unknownPhenomenon = req.params.sensors.find(function (sensor) {
+      return sensor.phenomenon && !phenomena.findPhenomenon(sensor.phenomenon);
+    });
+    if (unknownPhenomenon) {
+      return next(new restify.UnprocessableEntityError('Unknown phenomenon ' + unknownPhenomenon.phenomenon));
+    }
+  }
+
+  // editors must not delete sensors with their measurements
+  // or change how measurements are uploaded
+  if (req.box_role !== 'owner') {
+    var deletesSensors = Array.isArray(req.params.sensors) && req.params.sensors.some(s => s.deleted);
+    var changesUploads = (typeof req.params.requireAuthentication !== 'undefined' && req.params.requireAuthentication !== '') ||
+      typeof req.params.mqtt !== 'undefined';
+    if (deletesSensors || changesUploads) {
+      return next(new restify.NotAuthorizedError('Deleting sensors and changing requireAuthentication or mqtt requires the role owner for the senseBox'));
+    }
+  }
+
+  if (typeof req.params.plausibilityMode !== 'undefined' && req.params.plausibilityMode !== '' &&
+    !plausibility.PLAUSIBILITY_MODES.includes(req.params.plausibilityMode)) {
+    return next(new restify.UnprocessableEntityError('Invalid parameter plausibilityMode. Allowed values are ' + plausibility.PLAUSIBILITY_MODES.join(', ')));
+  }
+
+  var location;
+  if (typeof req.params.loc !== 'undefined' && req.params.loc !== '') {
+    location = (req.params.loc !== null && typeof req.params.loc === 'object') ? utils.parseLocation(req.params.loc) : undefined;
+    if (!location) {
+      return next(new restify.UnprocessableEntityError('Invalid parameter loc. Expected {"lat", "lng"} or [lng, lat]'));
+    }
+  }
+
   var qrys = [];
   Box.findById(req.boxId).then(function (box) {
     if (typeof req.params.name !== 'undefined' && req.params.name !== '') {
@@ -452,9 +809,12 @@ function updateBox (req, res, next) {
         qrys.push(box.set({description: req.params.description}));
       }
     }
-    if (typeof req.params.loc !== 'undefined' && req.params.loc !== '') {
-      if (String(box.loc[0].geometry.coordinates[0]) !== req.params.loc.lng || String(box.loc[0].geometry.coordinates[1]) !== req.params.loc.lat) {
-        box.loc[0].geometry.coordinates = [req.params.loc.lng, req.params.loc.lat];
+    if (location) {
+      let lng = location.coordinates[0],
+        lat = location.coordinates[1];
+      if (Number(box.loc[0].geometry.coordinates[0]) !== lng || Number(box.loc[0].geometry.coordinates[1]) !== lat) {
+        // keeps the previous location in the location history of the box
+        box.relocate([lng, lat], new Date());
       }
     }
     if (typeof req.params.image !== 'undefined' && req.params.image !== '') {
@@ -468,6 +828,17 @@ function updateBox (req, res, next) {
         return next(new restify.InternalServerError(JSON.stringify(e.message)));
       }
     }
+    if (typeof req.params.plausibilityMode !== 'undefined' && req.params.plausibilityMode !== '') {
+      if (box.plausibilityMode !== req.params.plausibilityMode) {
+        qrys.push(box.set({plausibilityMode: req.params.plausibilityMode}));
+      }
+    }
+    if (typeof req.params.requireAuthentication !== 'undefined' && req.params.requireAuthentication !== '') {
+      let requireAuthentication = String(req.params.requireAuthentication) === 'true';
+      if (box.requireAuthentication !== requireAuthentication) {
+        qrys.push(box.set({requireAuthentication: requireAuthentication}));
+      }
+    }
     if (req.params.mqtt === null) {
       qrys.push(box.set('mqtt', {}));
     } else if (typeof req.params.mqtt !== 'undefined' && typeof req.params.mqtt.url !== 'undefined' && typeof req.params.mqtt.topic !== 'undefined') {
@@ -485,16 +856,40 @@ function updateBox (req, res, next) {
             'title': updatedsensor.title,
             'unit': updatedsensor.unit,
             'sensorType': updatedsensor.sensorType,
-            'icon': updatedsensor.icon
+            'icon': updatedsensor.icon,
+            'phenomenon': phenomena.phenomenonIdOf(updatedsensor),
+            'minValue': updatedsensor.minValue,
+            'maxValue': updatedsensor.maxValue,
+            'maxRateOfChange': updatedsensor.maxRateOfChange
           });
           box.sensors.push(newsensor);
         } else if (updatedsensor.edited && !updatedsensor.deleted) {
-          qrys.push(Box.update({'sensors._id': mongoose.Types.ObjectId(updatedsensor._id)}, {'$set': {
+          var sensorUpdate = {
             'sensors.$.title': updatedsensor.title,
             'sensors.$.unit': updatedsensor.unit,
             'sensors.$.sensorType': updatedsensor.sensorType,
             'sensors.$.icon': updatedsensor.icon
-          }}));
+          };
+          var sensorUnset = {};
+          var phenomenonId = phenomena.phenomenonIdOf(updatedsensor);
+          if (phenomenonId) {
+            sensorUpdate['sensors.$.phenomenon'] = phenomenonId;
+          } else {
+            sensorUnset['sensors.$.phenomenon'] = '';
+          }
+          // plausibility settings are only changed if supplied. null removes them
+          plausibility.SENSOR_SETTINGS.forEach(function (setting) {
+            if (updatedsensor[setting] === null) {
+              sensorUnset['sensors.$.' + setting] = '';
+            } else if (typeof updatedsensor[setting] !== 'undefined') {
+              sensorUpdate['sensors.$.' + setting] = updatedsensor[setting];
+            }
+          });
+          var update = { '$set': sensorUpdate };
+          if (Object.keys(sensorUnset).length !== 0) {
+            update['$unset'] = sensorUnset;
+          }
+          qrys.push(Box.update({'sensors._id': mongoose.Types.ObjectId(updatedsensor._id)}, update));
         }
       });
     }
@@ -520,18 +915,44 @@ function updateBox (req, res, next) {
  * @apiGroup Measurements
  * @apiName getMeasurements
  * @apiUse BoxIdParam
+ * @apiUse UnitParam
  */
 function getMeasurements (req, res, next) {
+  var targetUnits = units.parseUnitParameter(req);
+  if (targetUnits instanceof Error) {
+    return next(targetUnits);
+  }
+
   Box.findOne({ _id: req.boxId }, { sensors: 1 })
     .populate('sensors.lastMeasurement')
     .lean()
     .exec()
     .then(function (box_with_sensors) {
       if (box_with_sensors) {
+        var converters = {};
+        if (targetUnits) {
+          var sensors = {};
+          for (var sensor of box_with_sensors.sensors) {
+            sensors[sensor._id] = sensor;
+          }
+          converters = units.createConverters(sensors, targetUnits);
+          if (converters instanceof Error) {
+            return next(converters);
+          }
+        }
+
         box_with_sensors.sensors = box_with_sensors.sensors.map(function (sensor) {
+          var converter = converters[sensor._id];
+          if (converter) {
+            sensor.unit = converter.unit;
+          }
           if (sensor.lastMeasurement) {
             sensor.lastMeasurement.__v = undefined;
             sensor.lastMeasurement.updatedAt = undefined;
+            if (converter) {
+              units.convertMeasurement(sensor.lastMeasurement, converter);
+              measurementColumns.useNumericValue(sensor.lastMeasurement);
+            }
           }
 
           return sensor;
@@ -551,6 +972,10 @@ function getMeasurements (req, res, next) {
 /**
  * @api {get} /boxes/:senseBoxId/data/:sensorId?from-date=fromDate&to-datetoDate&download=true&format=json Get the 10000 latest measurements for a sensor
  * @apiDescription Get up to 10000 measurements from a sensor for a specific time frame, parameters `from-date` and `to-date` are optional. If not set, the last 48 hours are used. The maximum time frame is 1 month. If `download=true` `Content-disposition` headers will be set. Allows for JSON or CSV format.
+ *
+ * If `interval` is specified, the measurements are aggregated into one value per interval with the function given in `aggregate`. Intervals without numeric measurements are omitted. `createdAt` is the start of each interval. Aggregated requests are not limited to 10000 measurements.
+ *
+ * For mobile senseBoxes, `format=geojson` returns the trajectory of the measurements ordered by time: a FeatureCollection with one Point feature per measurement or, with `geometry=linestring`, a single LineString feature whose properties `createdAt` and `value` contain one entry per position. Measurements without location are omitted. GeoJSON cannot be aggregated.
  * @apiVersion 0.0.1
  * @apiGroup Measurements
  * @apiName getData
@@ -559,8 +984,14 @@ function getMeasurements (req, res, next) {
  * @apiParam {String} from-date Beginning date of measurement data (default: 48 hours ago from now)
  * @apiParam {String} to-date End date of measurement data (default: now)
  * @apiParam {String="true","false"} download If set, offer download to the user (default: false, always on if CSV is used)
- * @apiParam {String="json","csv"} format=json Can be 'json' (default) or 'csv' (default: json)
+ * @apiParam {String="json","csv","geojson"} format=json Can be 'json' (default), 'csv' or 'geojson' (default: json)
+ * @apiParam {String="point","linestring"} geometry=point Only for geojson: one Point per measurement or one LineString.
+ * @apiParam {String="avg","min","max","sum","count","median"} aggregate=avg The function used to aggregate the measurements of each interval. Non-numeric values are skipped.
+ * @apiParam {String} interval The length of the aggregation intervals: a number followed by `m` (minutes), `h` (hours) or `d` (days), for example `10m`, `1h` or `1d`.
+ * @apiUse QualityParam
+ * @apiUse UnitParam
  * @apiUse SeparatorParam
+ * @apiSampleRequest https://api.opensensemap.org/boxes/:senseBoxId/data/:sensorId?aggregate=max&interval=1h
  */
 function getData (req, res, next) {
   // default to now
@@ -581,15 +1012,39 @@ function getData (req, res, next) {
     return next(timesValid);
   }
 
-  var format = getFormat(req, ['json', 'csv'], 'json');
+  var format = getFormat(req, ['json', 'csv', 'geojson'], 'json');
   if (typeof format === 'undefined') {
     return next(new restify.InvalidArgumentError('Invalid format: ' + req.params['format']));
   }
 
+  var aggregationParams = aggregation.parseAggregationParameters(req);
+  if (aggregationParams instanceof Error) {
+    return next(aggregationParams);
+  }
+  if (aggregationParams && format === 'geojson') {
+    return next(new restify.InvalidArgumentError('Parameters aggregate and interval are not supported with format=geojson'));
+  }
+
+  var geometry = trajectory.parseGeometry(req);
+  if (geometry instanceof Error) {
+    return next(geometry);
+  }
+
+  var quality = qualityFlags.parseQualityParameter(req);
+  if (quality instanceof Error) {
+    return next(quality);
+  }
+
+  var targetUnits = units.parseUnitParameter(req);
+  if (targetUnits instanceof Error) {
+    return next(targetUnits);
+  }
+
   var stringifier;
 
   var csvTransformer = csvtransform(function (data) {
     data.createdAt = new Date(data.createdAt).toISOString();
+    measurementColumns.useNumericValue(data);
     return data;
   });
   csvTransformer.on('error', (err) => {
@@ -598,26 +1053,6 @@ function getData (req, res, next) {
     return next(new restify.InternalServerError(err.message));
   });
 
-  if (format === 'csv') {
-    res.header('Content-Type', 'text/csv');
-    var sep = getSeparator(req);
-    stringifier = csvstringify({ columns: ['createdAt', 'value'], header: 1, delimiter: sep });
-  } else if (format === 'json') {
-    res.header('Content-Type', 'application/json; charset=utf-8');
-    stringifier = jsonstringify({ open: '[', close: ']' });
-  }
-
-  stringifier.on('error', (err) => {
-    console.log(err.message);
-    Honeybadger.notify(err);
-    return next(new restify.InternalServerError(err.message));
-  });
-
-  // offer download to browser
-  if (format === 'csv' || (typeof req.params['download'] !== 'undefined' && req.params['download'] === 'true')) {
-    res.header('Content-Disposition', 'attachment; filename=' + req.params.sensorId + '.' + format);
-  }
-
   // finally execute the query
   var queryLimit = 10000;
 
@@ -626,31 +1061,132 @@ function getData (req, res, next) {
     createdAt: { $gte: fromDate.toDate(), $lte: toDate.toDate() }
   };
 
-  Measurement.find(qry,{'createdAt': 1, 'value': 1, '_id': 0}) // do not send _id column
-    .limit(queryLimit)
-    .lean()
-    .cursor({ batchSize: 500 })
-    .pipe(csvTransformer)
-    .pipe(stringifier)
-    .pipe(res);
+  // converters for the requested unit need the unit of the sensor
+  var convertersQry = Promise.resolve({});
+  if (targetUnits) {
+    convertersQry = Box.findOne({ _id: req.boxId, 'sensors._id': req.params.sensorId }, { sensors: 1 })
+      .lean()
+      .exec()
+      .then(function (box) {
+        if (!box) {
+          return new restify.NotFoundError('sensor not found');
+        }
+        var sensors = {};
+        sensors[req.params.sensorId] = box.sensors.find(s => s._id.equals(req.params.sensorId));
+        return units.createConverters(sensors, targetUnits);
+      });
+  }
+
+  Promise.all([
+    convertersQry,
+    QualityFlag.findForSensors([req.params.sensorId], fromDate.toDate(), toDate.toDate())
+  ])
+    .then(function (results) {
+      var converters = results[0],
+        flags = results[1];
+      if (converters instanceof Error) {
+        return next(converters);
+      }
+
+      if (format === 'csv') {
+        res.header('Content-Type', 'text/csv');
+        var sep = getSeparator(req);
+        var columns = aggregationParams ? ['createdAt', 'value'] : ['createdAt', 'value'].concat(qualityFlags.qualityColumnsOf(req));
+        stringifier = csvstringify({ columns: columns, header: 1, delimiter: sep });
+      } else if (format === 'json') {
+        res.header('Content-Type', 'application/json; charset=utf-8');
+        stringifier = jsonstringify({ open: '[', close: ']' });
+      } else if (format === 'geojson') {
+        res.header('Content-Type', 'application/json; charset=utf-8');
+        stringifier = geometry === 'linestring'
+          ? jsonstringify()
+          : jsonstringify({ open: '{"type":"FeatureCollection","features":[', close: ']}' });
+      }
+
+      stringifier.on('error', (err) => {
+        console.log(err.message);
+        Honeybadger.notify(err);
+        return next(new restify.InternalServerError(err.message));
+      });
+
+      // offer download to browser
+      if (format === 'csv' || (typeof req.params['download'] !== 'undefined' && req.params['download'] === 'true')) {
+        res.header('Content-Disposition', 'attachment; filename=' + req.params.sensorId + '.' + format);
+      }
+
+      var qualityStream = qualityFlags.createQualityStream(flags, quality, req.params.sensorId);
+      var conversionStream = units.createConversionStream(converters, req.params.sensorId);
+
+      if (aggregationParams) {
+        var aggregationStream = aggregation.createAggregationStream(aggregationParams.reducer, aggregationParams.interval);
+
+        return Measurement.find(qry, {'createdAt': 1, 'value': 1, 'numericValue': 1, 'implausible': 1, '_id': 0})
+          .sort({ createdAt: 1 })
+          .lean()
+          .cursor({ batchSize: 500 })
+          .pipe(qualityStream)
+          .pipe(conversionStream)
+          .pipe(aggregationStream)
+          .pipe(csvTransformer)
+          .pipe(stringifier)
+          .pipe(res);
+      }
+
+      if (format === 'geojson') {
+        return Measurement.find(qry, {'createdAt': 1, 'value': 1, 'numericValue': 1, 'implausible': 1, 'location': 1, '_id': 0})
+          .sort({ createdAt: 1 })
+          .limit(queryLimit)
+          .lean()
+          .cursor({ batchSize: 500 })
+          .pipe(qualityStream)
+          .pipe(conversionStream)
+          .pipe(csvTransformer)
+          .pipe(geometry === 'linestring' ? trajectory.createLineStringStream() : csvtransform(trajectory.toPointFeature))
+          .pipe(stringifier)
+          .pipe(res);
+      }
+
+      Measurement.find(qry,{'createdAt': 1, 'value': 1, 'numericValue': 1, 'implausible': 1, '_id': 0}) // do not send _id column
+        .limit(queryLimit)
+        .lean()
+        .cursor({ batchSize: 500 })
+        .pipe(qualityStream)
+        .pipe(conversionStream)
+        .pipe(csvTransformer)
+        .pipe(stringifier)
+        .pipe(res);
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
 }
 
 /**
- * @api {get,post} /boxes/data?boxid=:senseBoxIds&from-date=:fromDate&to-date:toDate&phenomenon=:phenomenon Get latest measurements for a phenomenon as CSV
- * @apiDescription Download data of a given phenomenon from multiple selected senseBoxes as CSV
+ * @api {get,post} /boxes/data?boxid=:senseBoxIds&from-date=:fromDate&to-date:toDate&phenomenon=:phenomenon Get latest measurements for a phenomenon
+ * @apiDescription Download data of the given phenomena from multiple selected senseBoxes as CSV, JSON, newline delimited JSON or GeoJSON. The senseBoxes are selected by their IDs or with the filters of `findAllBoxes`, for example `bbox` or `grouptag`.
+ *
+ * JSON and newline delimited JSON contain one object per row with the requested columns. GeoJSON is a FeatureCollection with one Point feature per row located at its senseBox. The requested columns are the properties of the features.
+ *
+ * With `layout=long` (default), there is one row per measurement. With `layout=wide`, there is one row per senseBox and timestamp with one column per phenomenon. The timestamps are aligned to full seconds or to the start of each `interval`. Without `aggregate`, the last value in each interval is used.
  * @apiVersion 0.1.0
  * @apiGroup Measurements
  * @apiName getDataMulti
- * @apiParam {String} senseBoxIds Comma separated list of senseBox IDs.
- * @apiParam {String} phenomenon the name of the phenomenon you want to download the data for.
+ * @apiParam {String} senseBoxIds Comma separated list of senseBox IDs. Required if no filter is used.
+ * @apiParam {String} phenomenon Comma separated list of the phenomena you want to download the data for: their ids, aliases (see `GET /phenomena`) or the titles of the sensors.
+ * @apiParam {String} bbox (optional) Select the senseBoxes in the bounding box `minLng,minLat,maxLng,maxLat`. The other filters of `findAllBoxes` like `grouptag`, `exposure` or `near` are supported as well.
+ * @apiParam {String="long","wide"} layout=long one row per measurement or one row per senseBox and timestamp.
+ * @apiParam {String="avg","min","max","sum","count","median"} aggregate Only for layout wide: the function used to aggregate the values of each interval.
+ * @apiParam {String} interval Only for layout wide: the length of the intervals the timestamps are aligned to, for example `10m`, `1h` or `1d`.
  * @apiParam {String} from-date Beginning date of measurement data (default: 15 days ago from now)
  * @apiParam {String} to-date End date of measurement data (default: now)
+ * @apiParam {String="csv","json","ndjson","geojson"} format=csv the format the measurements are returned in.
  * @apiUse SeparatorParam
- * @apiParam {String} columns (optional) Comma separated list of columns to export. If omitted, columns createdAt, value, lat, lng are returned. Possible allowed values are createdAt, value, lat, lng, unit, boxId, sensorId, phenomenon, sensorType, boxName. The columns in the csv are like the order supplied in this parameter
+ * @apiUse QualityParam
+ * @apiUse UnitParam
+ * @apiParam {String} columns (optional) Comma separated list of columns to export. If omitted, columns createdAt, value, lat, lng are returned, followed by quality and qualityReason if the parameter quality is given. Possible allowed values are createdAt, value, lat, lng, unit, boxId, sensorId, phenomenon, phenomenonId, sensorType, boxName, quality, qualityReason. The columns in the csv are like the order supplied in this parameter. For layout wide, only createdAt, boxId, boxName, lat and lng are allowed (default: createdAt, boxId, lat, lng) and the phenomenon columns are appended.
  */
-const GET_DATA_MULTI_DEFAULT_COLUMNS = ['createdAt', 'value', 'lat', 'lng'];
-const GET_DATA_MULTI_ALLOWED_COLUMNS = ['createdAt', 'value', 'lat', 'lng', 'unit', 'boxId', 'sensorId', 'phenomenon', 'sensorType', 'boxName'];
-
 function getDataMulti (req, res, next) {
   // default to now
   var toDate = utils.parseTimeParameter(req, next, 'to-date', moment().utc());
@@ -670,92 +1206,449 @@ function getDataMulti (req, res, next) {
     return next(timesValid);
   }
 
-  if (req.params['phenomenon'] && req.boxId) {
-    var phenom = req.params['phenomenon'].toString();
-    var boxId = req.boxId.toString();
-    var boxIds = boxId.split(',');
+  var quality = qualityFlags.parseQualityParameter(req);
+  if (quality instanceof Error) {
+    return next(quality);
+  }
 
-    res.header('Content-Type', 'text/csv');
-    Box.find({
-      '_id': {
-        '$in': boxIds
-      },
-      'sensors.title': req.params['phenomenon'].toString()
-    })
-      .lean()
-      .exec()
-      .then(function (boxData) {
-        var sensors = Object.create(null);
-
-        for (var i = 0, len = boxData.length; i < len; i++) {
-          for (var j = 0, sensorslen = boxData[i].sensors.length; j < sensorslen; j++) {
-            if (boxData[i].sensors[j].title === phenom) {
-              let sensor = boxData[i].sensors[j];
-
-              sensor.lat = boxData[i].loc[0].geometry.coordinates[0];
-              sensor.lng = boxData[i].loc[0].geometry.coordinates[1];
-              sensor.boxId = boxData[i]._id.toString();
-              sensor.boxName = boxData[i].name;
-              sensor.sensorId = sensor._id.toString();
-              sensor.phenomenon = sensor.title;
-
-              sensors[boxData[i].sensors[j]['_id']] = sensor;
-            }
-          }
+  var targetUnits = units.parseUnitParameter(req);
+  if (targetUnits instanceof Error) {
+    return next(targetUnits);
+  }
+
+  var format = getFormat(req, measurementColumns.FORMATS, 'csv');
+  if (typeof format === 'undefined') {
+    return next(new restify.InvalidArgumentError('Invalid format: ' + req.params['format']));
+  }
+
+  var layout = (typeof req.params['layout'] === 'undefined' || req.params['layout'].toString().trim() === '') ? 'long' : req.params['layout'].toString().trim().toLowerCase();
+  if (!wideFormat.LAYOUTS.includes(layout)) {
+    return next(new restify.InvalidArgumentError('Invalid layout: ' + req.params['layout']));
+  }
+
+  var aggregationParams = aggregation.parseAggregationParameters(req);
+  if (aggregationParams instanceof Error) {
+    return next(aggregationParams);
+  }
+  if (aggregationParams && layout !== 'wide') {
+    return next(new restify.InvalidArgumentError('Parameters aggregate and interval are only supported with layout=wide'));
+  }
+
+  var requestedPhenomena = req.params['phenomenon'] || [];
+  if (!Array.isArray(requestedPhenomena)) {
+    requestedPhenomena = requestedPhenomena.toString().split(',');
+  }
+  requestedPhenomena = requestedPhenomena.map(p => p.toString().trim()).filter(p => p !== '');
+
+  var boxQry = boxFilters.boxQuery(req.params);
+  if (boxQry instanceof Error) {
+    return next(boxQry);
+  }
+
+  if (requestedPhenomena.length === 0 || (!req.boxId && Object.keys(boxQry).length === 0)) {
+    return next(new restify.InvalidArgumentError('Invalid parameters. Please specify phenomenon and boxid or a filter like bbox or grouptag'));
+  }
+
+  if (req.boxId) {
+    boxQry._id = { '$in': req.boxId.toString().split(',') };
+  }
+  boxQry['$or'] = requestedPhenomena.map(phenomena.boxQuery);
+
+  res.header('Content-Type', measurementColumns.CONTENT_TYPES[format]);
+  Box.find(boxQry)
+    .lean()
+    .exec()
+    .then(function (boxData) {
+      var sensors = measurementColumns.collectSensors(boxData, requestedPhenomena);
+
+      var converters = targetUnits ? units.createConverters(sensors, targetUnits) : {};
+      if (converters instanceof Error) {
+        return next(converters);
+      }
+      for (let sensorId of Object.keys(converters)) {
+        sensors[sensorId].unit = converters[sensorId].unit;
+      }
+
+      let sep = getSeparator(req);
+      let columns, wideStream;
+      if (layout === 'wide') {
+        columns = wideFormat.parseBoxColumns(req.params['columns']);
+        if (columns instanceof Error) {
+          return next(columns);
+        }
+        columns = columns.concat(wideFormat.assignPhenomenonColumns(sensors, requestedPhenomena));
+        wideStream = aggregationParams
+          ? wideFormat.createWideStream(sensors, aggregationParams.interval, aggregationParams.reducer)
+          : wideFormat.createWideStream(sensors);
+      } else {
+        columns = measurementColumns.parseColumns(req.params['columns'], measurementColumns.DEFAULT_COLUMNS.concat(qualityFlags.qualityColumnsOf(req)));
+        if (columns instanceof Error) {
+          return next(columns);
         }
+      }
 
-        let sep = getSeparator(req);
-        let columns = GET_DATA_MULTI_DEFAULT_COLUMNS;
-        let columnsParam = req.params['columns'];
-        if (typeof columnsParam !== 'undefined' && columnsParam.trim() !== '') {
-          columns = columnsParam.split(',');
-          if (columns.some(c => !GET_DATA_MULTI_ALLOWED_COLUMNS.includes(c))) {
-            return next(new restify.UnprocessableEntityError('illegal columns'));
-          }
+      let stringifier = measurementColumns.createStringifier(format, columns, sep);
+      let transformer = csvtransform(function (data) {
+        if (layout === 'wide') {
+          return measurementColumns.formatRow(data, columns, format, data.lng, data.lat);
         }
+        return measurementColumns.formatMeasurement(data, sensors, columns, format);
+      });
 
-        let stringifier = csvstringify({ columns: columns, header: 1, delimiter: sep });
-        let transformer = csvtransform(function (data) {
-          data.createdAt = utils.parseTimestamp(data.createdAt).toISOString();
+      transformer.on('error', function (err) {
+        console.log(err.message);
+        Honeybadger.notify(err);
+        return next(new restify.InternalServerError(JSON.stringify(err.message)));
+      });
 
-          for (let col of columns) {
-            if (!data[col]) {
-              data[col] = sensors[data.sensor_id][col];
+      return QualityFlag.findForSensors(Object.keys(sensors), fromDate.toDate(), toDate.toDate())
+        .then(function (flags) {
+          var measurements = Measurement.find({
+            'sensor_id': {
+              '$in': Object.keys(sensors)
+            },
+            createdAt: {
+              '$gt': fromDate.toDate(),
+              '$lt': toDate.toDate()
             }
-          }
+          }, {'createdAt': 1, 'value': 1, 'numericValue': 1, 'implausible': 1, '_id': 0, 'sensor_id': 1, 'location': 1});
 
-          return data;
-        });
+          // the rows of the wide layout are built in the order of time
+          if (layout === 'wide') {
+            measurements = measurements.sort({ createdAt: 1 });
+          }
 
-        transformer.on('error', function (err) {
-          console.log(err.message);
-          Honeybadger.notify(err);
-          return next(new restify.InternalServerError(JSON.stringify(err.message)));
-        });
+          var stream = measurements
+            .lean()
+            .cursor({ batchSize: 500 })
+            .pipe(qualityFlags.createQualityStream(flags, quality))
+            .pipe(units.createConversionStream(converters));
 
-        Measurement.find({
-          'sensor_id': {
-            '$in': Object.keys(sensors)
-          },
-          createdAt: {
-            '$gt': fromDate.toDate(),
-            '$lt': toDate.toDate()
+          if (wideStream) {
+            stream = stream.pipe(wideStream);
           }
-        }, {'createdAt': 1, 'value': 1, '_id': 0, 'sensor_id': 1})
-          .lean()
-          .cursor({ batchSize: 500 })
-          .pipe(transformer)
-          .pipe(stringifier)
-          .pipe(res);
-      })
-      .catch(function (err) {
-        console.log(err);
+
+          stream
+            .pipe(transformer)
+            .pipe(stringifier)
+            .pipe(res);
+        });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(JSON.stringify(err.errors)));
+    });
+}
+
+/**
+ * @api {get} /boxes/:senseBoxId/data?interval=:interval&fill=:fill Get the resampled measurements of all sensors of a senseBox
+ * @apiDescription Get the measurements of all sensors of a senseBox resampled onto a common time grid with one row per `interval` and one column per sensor. The columns are named by the IDs of the sensors. `createdAt` is the start of each interval, the first interval starts at `from-date` aligned to the interval. The measurements of each sensor and interval are aggregated with the function given in `aggregate`, non-numeric values are skipped.
+ *
+ * Intervals without measurements of a sensor are empty (`null` in JSON) or filled with `fill`: `previous` repeats the last value of the sensor, `linear` interpolates linearly between the surrounding values. Intervals before the first value of a sensor are never filled, `linear` does not fill intervals after the last value either. The time frame may contain at most 10000 intervals.
+ * @apiVersion 0.1.0
+ * @apiGroup Measurements
+ * @apiName getResampledData
+ * @apiUse BoxIdParam
+ * @apiParam {String} interval The length of the intervals: a number followed by `m` (minutes), `h` (hours) or `d` (days), for example `10m`, `1h` or `1d`.
+ * @apiParam {String="none","previous","linear"} fill=none How intervals without measurements are filled.
+ * @apiParam {String="avg","min","max","sum","count","median"} aggregate=avg The function used to aggregate the measurements of each interval.
+ * @apiParam {String} from-date Beginning date of measurement data (default: 48 hours ago from now)
+ * @apiParam {String} to-date End date of measurement data (default: now)
+ * @apiParam {String="true","false"} download If set, offer download to the user (default: false, always on if CSV is used)
+ * @apiParam {String="json","csv"} format=json Can be 'json' (default) or 'csv'
+ * @apiUse QualityParam
+ * @apiUse UnitParam
+ * @apiUse SeparatorParam
+ * @apiSampleRequest https://api.opensensemap.org/boxes/:senseBoxId/data?interval=1h&fill=linear
+ */
+function getResampledData (req, res, next) {
+  // default to now
+  var toDate = utils.parseTimeParameter(req, next, 'to-date', moment());
+  if (!moment.isMoment(toDate)) {
+    return next(toDate);
+  }
+
+  // default to 48 hours earlier from to-date
+  var fromDate = utils.parseTimeParameter(req, next, 'from-date', toDate.clone().subtract(48, 'hours'));
+  if (!moment.isMoment(fromDate)) {
+    return next(fromDate);
+  }
+
+  // validate time parameters
+  var timesValid = utils.validateTimeParameters(toDate, fromDate);
+  if (typeof timesValid !== 'undefined') {
+    return next(timesValid);
+  }
+
+  var format = getFormat(req, ['json', 'csv'], 'json');
+  if (typeof format === 'undefined') {
+    return next(new restify.InvalidArgumentError('Invalid format: ' + req.params['format']));
+  }
+
+  var aggregationParams = aggregation.parseAggregationParameters(req);
+  if (aggregationParams instanceof Error) {
+    return next(aggregationParams);
+  }
+  if (typeof aggregationParams === 'undefined') {
+    return next(new restify.InvalidArgumentError('Parameter interval is required'));
+  }
+
+  var fill = resample.parseFill(req);
+  if (fill instanceof Error) {
+    return next(fill);
+  }
+
+  var grid = resample.createGrid(fromDate.toDate(), toDate.toDate(), aggregationParams.interval);
+  if (grid instanceof Error) {
+    return next(grid);
+  }
+
+  var quality = qualityFlags.parseQualityParameter(req);
+  if (quality instanceof Error) {
+    return next(quality);
+  }
+
+  var targetUnits = units.parseUnitParameter(req);
+  if (targetUnits instanceof Error) {
+    return next(targetUnits);
+  }
+
+  Box.findOne({ _id: req.boxId }, { sensors: 1 })
+    .lean()
+    .exec()
+    .then(function (box) {
+      if (!box) {
+        return next(new restify.NotFoundError('box not found'));
+      }
+
+      var sensors = {};
+      for (var sensor of box.sensors) {
+        sensors[sensor._id] = sensor;
+      }
+      var sensorIds = Object.keys(sensors);
+
+      var converters = targetUnits ? units.createConverters(sensors, targetUnits) : {};
+      if (converters instanceof Error) {
+        return next(converters);
+      }
+
+      return QualityFlag.findForSensors(sensorIds, fromDate.toDate(), toDate.toDate())
+        .then(function (flags) {
+          var stream = Measurement.find({
+            sensor_id: { '$in': sensorIds },
+            createdAt: { '$gte': new Date(grid.start), '$lte': toDate.toDate() }
+          }, {'createdAt': 1, 'value': 1, 'numericValue': 1, 'implausible': 1, 'sensor_id': 1, '_id': 0})
+            .sort({ createdAt: 1 })
+            .lean()
+            .cursor({ batchSize: 500 })
+            .pipe(qualityFlags.createQualityStream(flags, quality))
+            .pipe(units.createConversionStream(converters));
+
+          return resample.collectOnGrid(stream, grid, sensorIds, aggregationParams.reducer);
+        })
+        .then(function (columns) {
+          for (var sensorId of sensorIds) {
+            resample.fillGaps(columns[sensorId], fill);
+          }
+          var rows = resample.toRows(grid, columns, sensorIds);
+
+          // offer download to browser
+          if (format === 'csv' || (typeof req.params['download'] !== 'undefined' && req.params['download'] === 'true')) {
+            res.header('Content-Disposition', 'attachment; filename=' + req.boxId + '.' + format);
+          }
+
+          if (format === 'json') {
+            return res.send(200, rows);
+          }
+
+          csvstringify(rows, { columns: ['createdAt'].concat(sensorIds), header: 1, delimiter: getSeparator(req) }, function (err, csv) {
+            if (err) {
+              console.log(err);
+              Honeybadger.notify(err);
+              return next(new restify.InternalServerError(err.message));
+            }
+            res.header('Content-Type', 'text/csv');
+            res.end(csv);
+          });
+        });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {post} /exports Create an export job
+ * @apiDescription Create a job which exports the measurements of the selected senseBoxes in the background. There is no limit for the time frame. Poll the status of the job with `GET /exports/:exportId`. When its status is `finished`, the result can be downloaded from `GET /exports/:exportId/download` for 7 days.
+ * @apiVersion 0.1.0
+ * @apiGroup Exports
+ * @apiName postNewExport
+ * @apiParam (RequestBody) {String[]} boxIds the IDs of the senseBoxes to export. Also accepts a comma separated list.
+ * @apiParam (RequestBody) {String[]} phenomena (optional) the ids, aliases or sensor titles of the phenomena to export. Also accepts a comma separated list. If omitted, all sensors of the senseBoxes are exported.
+ * @apiParam (RequestBody) {String} from-date Beginning date of measurement data (default: 15 days ago from now)
+ * @apiParam (RequestBody) {String} to-date End date of measurement data (default: now)
+ * @apiParam (RequestBody) {String="csv","ndjson","json","geojson"} format=csv the format of the export. See `getDataMulti` for the formats
+ * @apiParam (RequestBody) {String} columns (optional) Comma separated list of columns to export. If omitted, columns createdAt, value, unit, phenomenon, sensorId, boxId, lat, lng are exported, followed by quality and qualityReason if the parameter quality is given. See `getDataMulti` for allowed values.
+ * @apiUse QualityParam
+ * @apiUse SeparatorParam
+ * @apiSuccess (Created 202) {String} _id the id of the export job
+ * @apiSuccess (Created 202) {String="pending","running","finished","failed"} status the status of the export job
+ */
+function postNewExport (req, res, next) {
+  if (!req.boxId) {
+    return next(new restify.InvalidArgumentError('Parameter boxIds is required'));
+  }
+  // the same senseBox requested twice is only exported once
+  var boxIds = req.boxId.split(',').filter((boxId, index, ids) => ids.indexOf(boxId) === index);
+
+  var exportPhenomena = req.params['phenomena'] || req.params['phenomenon'] || [];
+  if (!Array.isArray(exportPhenomena)) {
+    exportPhenomena = exportPhenomena.toString().split(',');
+  }
+  exportPhenomena = exportPhenomena.map(p => p.toString().trim()).filter(p => p !== '');
+
+  var toDate = utils.parseTimeParameter(req, next, 'to-date', moment().utc());
+  if (!moment.isMoment(toDate)) {
+    return next(toDate);
+  }
+
+  var fromDate = utils.parseTimeParameter(req, next, 'from-date', toDate.clone().subtract(15, 'days'));
+  if (!moment.isMoment(fromDate)) {
+    return next(fromDate);
+  }
+
+  var timesValid = utils.validateTimeParameters(toDate, fromDate, Infinity);
+  if (typeof timesValid !== 'undefined') {
+    return next(timesValid);
+  }
+
+  var format = getFormat(req, ExportJob.schema.path('format').enumValues, 'csv');
+  if (typeof format === 'undefined') {
+    return next(new restify.InvalidArgumentError('Invalid format: ' + req.params['format']));
+  }
+
+  var columns = measurementColumns.parseColumns(req.params['columns'], exportJobs.DEFAULT_COLUMNS.concat(qualityFlags.qualityColumnsOf(req)));
+  if (columns instanceof Error) {
+    return next(columns);
+  }
+
+  var quality = qualityFlags.parseQualityParameter(req);
+  if (quality instanceof Error) {
+    return next(quality);
+  }
+
+  Box.count({ _id: { '$in': boxIds } })
+    .exec()
+    .then(function (count) {
+      if (count !== boxIds.length) {
+        return next(new restify.NotFoundError('senseBox not found'));
+      }
+
+      return new ExportJob({
+        boxIds: boxIds,
+        phenomena: exportPhenomena,
+        fromDate: fromDate.toDate(),
+        toDate: toDate.toDate(),
+        format: format,
+        columns: columns,
+        quality: quality,
+        delimiter: getSeparator(req)
+      }).save()
+        .then(function (job) {
+          res.header('Location', '/exports/' + job._id);
+          res.send(202, job.toStatus());
+        });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+// helper to find the export job of the request
+function findExportJob (req) {
+  var exportId = req.params['exportId'].toString();
+  if (!mongoose.Types.ObjectId.isValid(exportId)) {
+    return Promise.reject(new restify.BadRequestError('Parameter :exportId is not valid'));
+  }
+
+  return ExportJob.findById(exportId)
+    .exec()
+    .then(function (job) {
+      if (!job) {
+        throw new restify.NotFoundError('export not found');
+      }
+      return job;
+    });
+}
+
+/**
+ * @api {get} /exports/:exportId Get the status of an export job
+ * @apiVersion 0.1.0
+ * @apiGroup Exports
+ * @apiName getExport
+ * @apiParam {String} :exportId the ID of the export job.
+ * @apiSuccess {String="pending","running","finished","failed"} status the status of the export job
+ * @apiSuccess {Number} measurementCount the number of exported measurements, when finished
+ * @apiSuccess {String} error the reason why the export failed
+ * @apiSuccess {String} download the url to download the export, when finished
+ */
+function getExport (req, res, next) {
+  findExportJob(req)
+    .then(function (job) {
+      var status = job.toStatus();
+      if (job.status === 'finished') {
+        status.download = '/exports/' + job._id + '/download';
+      }
+      res.send(200, status);
+    })
+    .catch(function (err) {
+      if (err instanceof restify.HttpError) {
+        return next(err);
+      }
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {get} /exports/:exportId/download Download the result of an export job
+ * @apiDescription Returns 409 if the export job is not finished.
+ * @apiVersion 0.1.0
+ * @apiGroup Exports
+ * @apiName getExportDownload
+ * @apiParam {String} :exportId the ID of the export job.
+ */
+function getExportDownload (req, res, next) {
+  findExportJob(req)
+    .then(function (job) {
+      if (job.status !== 'finished') {
+        return next(new restify.ConflictError('export is ' + job.status));
+      }
+
+      var file = exportJobs.exportFilePath(job);
+      var stream = fs.createReadStream(file);
+      stream.on('error', function (err) {
         Honeybadger.notify(err);
-        return next(new restify.InternalServerError(JSON.stringify(err.errors)));
+        return next(new restify.GoneError('export file is not available anymore'));
       });
-  } else {
-    return next(new restify.InvalidArgumentError('Invalid parameters'));
-  }
+      stream.on('open', function () {
+        res.header('Content-Type', measurementColumns.CONTENT_TYPES[job.format]);
+        res.header('Content-Disposition', 'attachment; filename=' + job.filename);
+        stream.pipe(res);
+      });
+    })
+    .catch(function (err) {
+      if (err instanceof restify.HttpError) {
+        return next(err);
+      }
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
 }
 
 /**
@@ -766,8 +1659,11 @@ function getDataMulti (req, res, next) {
  * @apiName postNewMeasurement
  * @apiUse BoxIdParam
  * @apiUse SensorIdParam
+ * @apiUse DeviceTokenParam
  * @apiParam (RequestBody) {String} value the measured value of the sensor. Also accepts JSON float numbers.
  * @apiParam (RequestBody) {String} createdAt the timestamp of the measurement. Should be parseable by JavaScript.
+ * @apiParam (RequestBody) {Object} location (optional) Only for mobile senseBoxes: where the measurement was taken as `{"lat": lat, "lng": lng, "height": height}` or `[lng, lat, height]`. The height is optional.
+ * @apiSuccess {String} 201 Measurement saved in box. If a measurement with the same sensor and timestamp is already stored, the measurement is not saved again and the response says so.
  */
 function postNewMeasurement (req, res, next) {
   let jsonHandler = decodeHandlers.json;
@@ -777,21 +1673,31 @@ function postNewMeasurement (req, res, next) {
     measurements = jsonHandler.decodeMessage([{
       sensor_id: req.params.sensorId,
       value: req.params.value,
-      createdAt: req.params.createdAt
+      createdAt: req.params.createdAt,
+      location: req.params.location
     }]);
   } catch (err) {
     return next(new restify.UnprocessableEntityError(err.message));
   }
   Box.findOne({ _id: req.boxId })
+    .select('+deviceTokens')
     .then(function (box) {
       if (!box) {
         return next(new restify.NotFoundError('no senseBox found'));
-      } else {
-        return box.saveMeasurement(measurements[0]);
       }
-    })
-    .then(function () {
-      res.send(201, 'Measurement saved in box');
+      if (!box.acceptsDeviceToken(deviceTokens.tokenOfRequest(req))) {
+        return next(new restify.NotAuthorizedError('Device token is invalid or missing'));
+      }
+      return box.saveMeasurement(measurements[0])
+        .then(function (result) {
+          if (result.rejected.length !== 0) {
+            return next(new restify.UnprocessableEntityError(plausibility.describe(result.rejected)));
+          }
+          if (result.duplicates.length !== 0) {
+            return res.send(201, 'Measurement already saved in box, duplicate skipped');
+          }
+          res.send(201, 'Measurement saved in box');
+        });
     })
     .catch(function (err) {
       console.log(err);
@@ -803,11 +1709,12 @@ function postNewMeasurement (req, res, next) {
 /**
  * I think this shouldn't be documented for now
  * api {post} /boxes/:boxId/data Post multiple new measurements
- * @apiDescription Post multiple new measurements as an JSON array to a box.
+ * @apiDescription Post multiple new measurements as an JSON array to a box. Measurements with a sensor and timestamp which are already stored are skipped, so uploads can be safely retried. The number of skipped duplicates is reported in the response. If the plausibilityMode of the senseBox is `reject`, implausible measurements are not stored and reported in the response, while the other measurements are saved.
  * @apiVersion 0.1.0
  * @apiGroup Measurements
  * @apiName postNewMeasurements
  * @apiUse BoxIdParam
+ * @apiUse DeviceTokenParam
  * @apiParam (RequestBody) {Object[]} bla bla
  * @apiSampleRequest
  * [{ "sensor": "56cb7c25b66992a02fe389de", "value": "3" },{ "sensor": "56cb7c25b66992a02fe389df", "value": "2" }]
@@ -827,15 +1734,32 @@ function postNewMeasurements (req, res, next) {
       return next(new restify.UnprocessableEntityError(err.message));
     }
     Box.findOne({ _id: boxId })
+      .select('+deviceTokens')
       .then(function (box) {
         if (!box) {
           return next(new restify.NotFoundError('no senseBox found'));
-        } else {
-          return box.saveMeasurementsArray(measurements);
         }
-      })
-      .then(function () {
-        res.send(201, 'Measurements saved in box');
+        if (!box.acceptsDeviceToken(deviceTokens.tokenOfRequest(req))) {
+          return next(new restify.NotAuthorizedError('Device token is invalid or missing'));
+        }
+        return box.saveMeasurementsArray(measurements)
+          .then(function (result) {
+            if (result.rejected.length !== 0) {
+              // only fail if none of the measurements was plausible
+              if (result.inserted.length === 0 && result.duplicates.length === 0) {
+                return next(new restify.UnprocessableEntityError(plausibility.describe(result.rejected)));
+              }
+              let message = result.inserted.length + ' measurements saved in box';
+              if (result.duplicates.length !== 0) {
+                message = message + ', ' + result.duplicates.length + ' duplicates skipped';
+              }
+              return res.send(201, message + ', rejected ' + plausibility.describe(result.rejected));
+            }
+            if (result.duplicates.length !== 0) {
+              return res.send(201, result.inserted.length + ' measurements saved in box, ' + result.duplicates.length + ' duplicates skipped');
+            }
+            res.send(201, 'Measurements saved in box');
+          });
       })
       .catch(function (err) {
         console.log(err);
@@ -848,17 +1772,45 @@ function postNewMeasurements (req, res, next) {
 }
 
 /**
- * @api {get} /boxes?date=:date&phenomenon=:phenomenon&format=:format Get all senseBoxes
+ * @api {get,post} /boxes?date=:date&phenomenon=:phenomenon&format=:format Get all senseBoxes
  * @apiDescription With the optional `date` and `phenomenon` parameters you can find senseBoxes that have submitted data around that time, +/- 2 hours, or specify two dates separated by a comma.
+ *
+ * The spatial filters `bbox`, `near` and `polygon` restrict the result to senseBoxes located in the given area. They can be combined with each other and with `date` and `phenomenon`. A `polygon` is sent as GeoJSON in the JSON body of a POST request to `/boxes/within`; pagination with `limit` is not supported for these requests.
+ *
+ * The attribute filters `grouptag`, `exposure`, `model`, `boxType` and `sensorType` accept a single value or a comma separated list of values. `q` searches the name and description of the senseBoxes.
+ *
+ * Without `limit`, all matching senseBoxes are streamed in one response. With `limit`, the senseBoxes are returned in pages ordered by their id. If there are more senseBoxes, the response contains a `Link` header with `rel="next"` pointing to the next page.
+ *
+ * With `cluster=true` and `format=geojson`, senseBoxes closer than 60 pixels to each other at the map zoom level `zoom` are grouped into cluster features. A cluster feature is a Point located at the senseBox closest to the center of the cluster, with the properties `cluster: true` and `point_count`, and the `bbox` of all its senseBoxes. senseBoxes which are not clustered are returned as usual. Clustering cannot be combined with `limit`.
  * @apiName findAllBoxes
  * @apiGroup Boxes
  * @apiVersion 0.1.0
  * @apiParam {String} date A date or datetime (UTC) where a station should provide measurements. Use in combination with `phenomenon`.
- * @apiParam {String} phenomenon A sensor phenomenon (determined by sensor name) such as temperature, humidity or UV intensity. Use in combination with `date`.
+ * @apiParam {String} phenomenon A sensor phenomenon such as `temperature`, `relative_humidity` or `uv_intensity`. Accepts the ids and aliases listed by `GET /phenomena` or the title of the sensors. Use in combination with `date`.
+ * @apiParam {String} bbox A bounding box `minLng,minLat,maxLng,maxLat` the senseBoxes have to be located in.
+ * @apiParam {String} near A location `lng,lat`. Only senseBoxes within `maxDistance` of this location are returned.
+ * @apiParam {Number} maxDistance The maximum distance in meters to the location given in `near`. Required when using `near`.
+ * @apiParam {String} grouptag Only return senseBoxes with this grouptag.
+ * @apiParam {String="indoor","outdoor"} exposure Only return senseBoxes with this exposure.
+ * @apiParam {String} model Only return senseBoxes of this model, for example `homeWifi`.
+ * @apiParam {String} boxType Only return senseBoxes of this boxType.
+ * @apiParam {String} sensorType Only return senseBoxes with at least one sensor of this sensorType.
+ * @apiParam {String} q Full text search over the name and description of the senseBoxes.
+ * @apiParam {Number} limit Return at most this many senseBoxes per page (maximum 1000).
+ * @apiParam {String} cursor The id of the last senseBox of the previous page. Taken from the `Link` header of the previous response.
+ * @apiParam {String="true","false"} cluster=false Cluster the senseBoxes for the map zoom level given in `zoom`. Only for `format=geojson`.
+ * @apiParam {Number} zoom The zoom level (0 to 20) of the map. Required when using `cluster`.
+ * @apiParam (RequestBody) {Object} polygon Only for POST /boxes/within: a GeoJSON Polygon or MultiPolygon geometry or Feature the senseBoxes have to be located in.
  * @apiParam {String="json","geojson"} format=json the format the sensor data is returned in.
  * @apiSampleRequest https://api.opensensemap.org/boxes
  * @apiSampleRequest https://api.opensensemap.org/boxes?date=2015-03-07T02:50Z&phenomenon=Temperatur
  * @apiSampleRequest https://api.opensensemap.org/boxes?date=2015-03-07T02:50Z,2015-04-07T02:50Z&phenomenon=Temperatur
+ * @apiSampleRequest https://api.opensensemap.org/boxes?bbox=7.5,51.9,7.7,52.0
+ * @apiSampleRequest https://api.opensensemap.org/boxes?near=7.62,51.96&maxDistance=5000
+ * @apiSampleRequest https://api.opensensemap.org/boxes?exposure=outdoor&model=homeWifi&grouptag=ifgi
+ * @apiSampleRequest https://api.opensensemap.org/boxes?q=Münster
+ * @apiSampleRequest https://api.opensensemap.org/boxes?limit=100
+ * @apiSampleRequest https://api.opensensemap.org/boxes?format=geojson&cluster=true&zoom=5
  */
 function findAllBoxes (req, res , next) {
   var activityAroundDate = (typeof req.params['date'] === 'undefined' || req.params['date'] === '') ? undefined : req.params['date'];
@@ -869,26 +1821,44 @@ function findAllBoxes (req, res , next) {
     return next(new restify.InvalidArgumentError('Invalid format: ' + req.params['format']));
   }
 
+  var filterQry = boxFilters.boxQuery(req.params);
+  if (filterQry instanceof Error) {
+    return next(filterQry);
+  }
+
+  var pagination = utils.parsePaginationParameters(req, FIND_ALL_BOXES_MAX_LIMIT);
+  if (pagination instanceof Error) {
+    return next(pagination);
+  }
+  // the Link to the next page cannot carry the polygon of the request body
+  if (req.method === 'POST' && typeof pagination.limit !== 'undefined') {
+    return next(new restify.InvalidArgumentError('Parameter limit is not supported for POST /boxes/within'));
+  }
+
+  var clusterZoom = clustering.parseClusterParameters(req.params);
+  if (clusterZoom instanceof Error) {
+    return next(clusterZoom);
+  }
+  if (typeof clusterZoom !== 'undefined' && (format !== 'geojson' || typeof pagination.limit !== 'undefined')) {
+    return next(new restify.InvalidArgumentError('Parameter cluster is only supported with format=geojson and without limit'));
+  }
+
   var fromDate,
     toDate,
-    dates;
+    dateWindow;
 
-  if (activityAroundDate && (dates = activityAroundDate.split(',')) && dates.length === 2 && moment(dates[0]).isBefore(dates[1])) { // moment().isBefore() will check the date's validities as well
-    fromDate = moment.utc(dates[0]).toDate();
-    toDate = moment.utc(dates[1]).toDate();
-  } else if (moment(activityAroundDate).isValid()) {
-    fromDate = moment.utc(activityAroundDate).subtract(4, 'hours').toDate();
-    toDate = moment.utc(activityAroundDate).add(4, 'hours').toDate();
+  if (activityAroundDate && (dateWindow = utils.parseDateWindow(activityAroundDate))) {
+    fromDate = dateWindow.fromDate;
+    toDate = dateWindow.toDate;
   }
 
-  // prepare query & callback
-  var boxQry = Box.find({}).populate('sensors.lastMeasurement');
-  var boxQryCallback = function (err, boxes) {
-    // extend/update 'lastMeasurement' to the queried date
+  // extend/update 'lastMeasurement' to the queried date,
+  // clean up the box and transform it into the requested format
+  var prepareBox = function (box) {
     var sensorQrys = [];
     if (typeof activityAroundDate !== 'undefined') {
-      boxes.forEach(function (box) {
-        box.sensors.forEach(function (sensor) {
+      box.sensors.forEach(function (sensor) {
+        if (sensor.lastMeasurement) {
           sensorQrys.push(
             Measurement.findOne({
               sensor_id: sensor._id,
@@ -896,114 +1866,559 @@ function findAllBoxes (req, res , next) {
                 '$gt': fromDate,
                 '$lt': toDate
               }
-            }).lean().exec()
+            }, { __v: 0 }).lean().exec()
+              .then(function (measurement) {
+                if (measurement !== null) {
+                  sensor.lastMeasurement = measurement;
+                }
+              })
           );
-        });
+        }
       });
     }
 
-    Promise.all(sensorQrys).then(function (thatresult) {
-      // merge 'old' data that was queried according to the date/timestamp into the box result set
-      // by replacing the "lastMeasurement" attribute's values with one fitting the query
-      if (typeof activityAroundDate !== 'undefined'/* && typeof phenomenon !== 'undefined'*/) {
-        var _boxes = boxes.slice();
-        // TODO: too many loops
-        _boxes.forEach(function (box) {
-          box.sensors.forEach(function (sensor) {
-            thatresult.forEach(function (thisresult) {
-              if (thisresult !== null) {
-                if (sensor.lastMeasurement) {
-                  if (thisresult.sensor_id.toString() === sensor._id.toString()) {
-                    sensor.lastMeasurement = thisresult;
-                  }
-                }
-              }
-            });
-          });
-        });
-        return (_boxes);
-      }
-      return (boxes);
-    })
-      .then(function (result_boxes) {
-      // clean up result..
-        return result_boxes.map(function (box) {
-          box.__v = undefined;
-          box.mqtt = undefined;
-
-          box.sensor = box.sensors.map(function (sensor) {
-            sensor.__v = undefined;
-            if (sensor.lastMeasurement) {
-              sensor.lastMeasurement.__v = undefined;
-            }
-            return sensor;
-          });
-
-          box.loc[0]._id = undefined;
+    return Promise.all(sensorQrys).then(function () {
+      box.__v = undefined;
+      box.mqtt = undefined;
 
-          return box;
-        });
-      })
-      .then(function (resultset) {
-        if (format === 'json') {
-          res.send(resultset);
-        } else if (format === 'geojson') {
-          var tmp = JSON.stringify(resultset);
-          tmp = JSON.parse(tmp);
-          var geojson = _.transform(tmp, function (result, n) {
-            var lat = n.loc[0].geometry.coordinates[1];
-            var lng = n.loc[0].geometry.coordinates[0];
-            n['loc'] = undefined;
-            n['lat'] = lat;
-            n['lng'] = lng;
-            return result.push(n);
-          });
-          res.send(GeoJSON.parse(geojson, {Point: ['lat','lng']}));
+      box.sensors.forEach(function (sensor) {
+        sensor.__v = undefined;
+        if (sensor.lastMeasurement) {
+          sensor.lastMeasurement.__v = undefined;
         }
-
-      }).catch(function (err) {
-        console.log(err);
-        Honeybadger.notify(err);
-        return next(new restify.InternalServerError(JSON.stringify(err)));
       });
+
+      box.loc[0]._id = undefined;
+
+      if (format === 'geojson') {
+        var lat = box.loc[0].geometry.coordinates[1];
+        var lng = box.loc[0].geometry.coordinates[0];
+        box['loc'] = undefined;
+        box['lat'] = lat;
+        box['lng'] = lng;
+        return GeoJSON.parse(box, {Point: ['lat','lng']});
+      }
+
+      return box;
+    });
   };
 
   // if date and phenom. are specified then filter boxes,
   // otherwise show all boxes
+  var qryPromise = Promise.resolve(filterQry);
   if (typeof activityAroundDate !== 'undefined') {
-    Measurement.find({
+    qryPromise = Measurement.find({
       createdAt: {
         '$gt': fromDate,
         '$lt': toDate
       }
-    }).lean().distinct('sensor_id', function (err,measurements) {
-      var qry = {
-        'sensors._id': {
-          '$in': measurements
-        }
-      };
-      if (typeof phenomenon !== 'undefined') {
-        qry = {
+    }).lean().distinct('sensor_id').exec()
+      .then(function (measurements) {
+        var qry = {
           'sensors._id': {
             '$in': measurements
-          },
-          'sensors.title': phenomenon
+          }
         };
-      }
-      boxQry = Box.find(qry).populate('sensors.lastMeasurement');
-      boxQry.exec(boxQryCallback);
+        if (typeof phenomenon !== 'undefined') {
+          Object.assign(qry, phenomena.boxQuery(phenomenon));
+        }
+        return Object.assign(qry, filterQry);
+      });
+  }
+
+  qryPromise.then(function (qry) {
+    if (typeof clusterZoom !== 'undefined') {
+      return sendClusteredBoxes(res, qry, clusterZoom, prepareBox);
+    }
+
+    if (typeof pagination.limit !== 'undefined') {
+      return sendBoxesPage(req, res, qry, pagination, format, prepareBox);
+    }
+
+    streamBoxes(req, res, next, qry, format, prepareBox);
+  })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(JSON.stringify(err.message)));
     });
-  } else {
-    boxQry.exec(boxQryCallback);
+}
+
+// the maximum number of boxes per page for findAllBoxes
+const FIND_ALL_BOXES_MAX_LIMIT = 1000;
+
+// send one page of boxes ordered by their id
+// and attach a Link header pointing to the next page
+function sendBoxesPage (req, res, qry, pagination, format, prepareBox) {
+  if (pagination.cursor) {
+    qry = Object.assign({}, qry, { _id: { '$gt': mongoose.Types.ObjectId(pagination.cursor) } });
   }
+
+  return Box.find(qry)
+    .sort({ _id: 1 })
+    .limit(pagination.limit + 1) // query one more to know if there is a next page
+    .populate('sensors.lastMeasurement')
+    .lean()
+    .exec()
+    .then(function (boxes) {
+      var hasNextPage = boxes.length > pagination.limit;
+      if (hasNextPage) {
+        boxes = boxes.slice(0, pagination.limit);
+        var nextUrl = url.parse(req.url, true);
+        nextUrl.search = undefined;
+        nextUrl.query.limit = pagination.limit;
+        nextUrl.query.cursor = boxes[boxes.length - 1]._id.toString();
+        res.header('Link', '<' + url.format(nextUrl) + '>; rel="next"');
+      }
+
+      return Promise.all(boxes.map(prepareBox));
+    })
+    .then(function (resultset) {
+      if (format === 'geojson') {
+        res.send({ type: 'FeatureCollection', features: resultset });
+      } else {
+        res.send(resultset);
+      }
+    });
 }
 
-/**
- * @api {get} /boxes/:boxId Get one senseBox
- * @apiName findBox
- * @apiVersion 0.0.1
- * @apiGroup Boxes
- * @apiUse BoxIdParam
+// send the boxes clustered for the zoom level. Only the unclustered
+// boxes are loaded completely
+function sendClusteredBoxes (res, qry, zoom, prepareBox) {
+  var clusters;
+
+  return Box.find(qry, { loc: 1 })
+    .lean()
+    .exec()
+    .then(function (boxes) {
+      var result = clustering.clusterBoxes(boxes, zoom);
+      clusters = result.clusters;
+
+      return Box.find({ _id: { '$in': result.unclustered } })
+        .populate('sensors.lastMeasurement')
+        .lean()
+        .exec();
+    })
+    .then(function (boxes) {
+      return Promise.all(boxes.map(prepareBox));
+    })
+    .then(function (features) {
+      res.send({ type: 'FeatureCollection', features: clusters.concat(features) });
+    });
+}
+
+// stream all boxes matching the query through a mongo cursor
+function streamBoxes (req, res, next, qry, format, prepareBox) {
+  var stringifier;
+  if (format === 'geojson') {
+    stringifier = jsonstringify({ open: '{"type":"FeatureCollection","features":[', close: ']}' });
+  } else {
+    stringifier = jsonstringify({ open: '[', close: ']' });
+  }
+  res.header('Content-Type', 'application/json; charset=utf-8');
+
+  var transformer = csvtransform(function (box, callback) {
+    prepareBox(box)
+      .then(function (result) {
+        callback(null, result);
+      })
+      .catch(callback);
+  }, { parallel: 10 });
+
+  transformer.on('error', function (err) {
+    console.log(err.message);
+    Honeybadger.notify(err);
+    return next(new restify.InternalServerError(err.message));
+  });
+
+  stringifier.on('error', function (err) {
+    console.log(err.message);
+    Honeybadger.notify(err);
+    return next(new restify.InternalServerError(err.message));
+  });
+
+  Box.find(qry)
+    .populate('sensors.lastMeasurement')
+    .lean()
+    .cursor({ batchSize: 500 })
+    .pipe(transformer)
+    .pipe(stringifier)
+    .pipe(res);
+}
+
+/**
+ * @api {get} /boxes/interpolation?phenomenon=:phenomenon&bbox=:bbox Interpolate a phenomenon onto a grid
+ * @apiDescription Estimate the values of a phenomenon for places without a senseBox. The measurements of every senseBox in the bounding box are averaged over the time frame given in `date` and interpolated onto a grid of square cells with inverse distance weighting. The value of each cell is interpolated at its center. senseBoxes without numeric measurements in the time frame are ignored. If no senseBox has measurements, all values are `null`.
+ *
+ * The JSON raster contains the values as array of rows from north to south, each row from west to east. The grid starts at the north western corner of the bbox and may extend beyond its eastern and southern edges if the bbox is not a multiple of `cellSize`. GeoJSON is a FeatureCollection with one Polygon feature per cell and the interpolated value as property `value`.
+ * @apiName getInterpolation
+ * @apiGroup Measurements
+ * @apiVersion 0.1.0
+ * @apiParam {String} phenomenon The id or an alias of the phenomenon (see `GET /phenomena`) or the title of the sensors, for example `temperature` or `Temperatur`.
+ * @apiParam {String} bbox The area to interpolate as `minLng,minLat,maxLng,maxLat`. The other filters of `findAllBoxes` like `grouptag` or `exposure` can be used to select the senseBoxes.
+ * @apiParam {Number} cellSize (optional) The width and height of the cells in degrees (default: 1/50 of the longer side of the bbox). The grid may contain at most 10000 cells.
+ * @apiParam {Number} power=2 The power of the inverse distance weighting. Higher values give nearer senseBoxes more influence.
+ * @apiParam {String} date (optional) A time frame given as two comma separated timestamps or a single timestamp, which is extended to 4 hours before and after it (default: the last hour). The time frame may be at most 31 days long.
+ * @apiParam {String="json","geojson"} format=json the format the grid is returned in.
+ * @apiUse UnitParam
+ * @apiSuccess {String} phenomenon the requested phenomenon
+ * @apiSuccess {String} unit the unit of the values
+ * @apiSuccess {String} fromDate the beginning of the time frame
+ * @apiSuccess {String} toDate the end of the time frame
+ * @apiSuccess {Number[]} bbox the bbox as `minLng,minLat,maxLng,maxLat`
+ * @apiSuccess {Number} cellSize the size of the cells in degrees
+ * @apiSuccess {Number} columns the number of cells from west to east
+ * @apiSuccess {Number} rows the number of cells from north to south
+ * @apiSuccess {Number} boxes the number of senseBoxes the values are interpolated from
+ * @apiSuccess {Number[][]} values the interpolated values
+ * @apiSampleRequest https://api.opensensemap.org/boxes/interpolation?phenomenon=temperature&bbox=7.5,51.9,7.7,52&cellSize=0.01
+ */
+function getInterpolation (req, res, next) {
+  if (typeof req.params['phenomenon'] === 'undefined' || req.params['phenomenon'].toString().trim() === '') {
+    return next(new restify.InvalidArgumentError('Parameter phenomenon is required'));
+  }
+  var phenomenon = req.params['phenomenon'].toString().trim();
+
+  var format = getFormat(req, ['json', 'geojson'], 'json');
+  if (typeof format === 'undefined') {
+    return next(new restify.InvalidArgumentError('Invalid format: ' + req.params['format']));
+  }
+
+  var grid = interpolation.parseGridParameters(req.params);
+  if (grid instanceof Error) {
+    return next(grid);
+  }
+
+  // default to the last hour
+  var dateWindow = { fromDate: moment.utc().subtract(1, 'hours').toDate(), toDate: moment.utc().toDate() };
+  if (typeof req.params['date'] !== 'undefined' && req.params['date'].toString().trim() !== '') {
+    dateWindow = utils.parseDateWindow(req.params['date'].toString());
+    if (typeof dateWindow === 'undefined') {
+      return next(new restify.InvalidArgumentError('Invalid parameter date. Expected a timestamp or two comma separated timestamps'));
+    }
+  }
+  if (moment(dateWindow.toDate).diff(dateWindow.fromDate, 'days') > 31) {
+    return next(new restify.InvalidArgumentError('Please choose a time frame up to 31 days maximum'));
+  }
+
+  var targetUnits = units.parseUnitParameter(req);
+  if (targetUnits instanceof Error) {
+    return next(targetUnits);
+  }
+
+  var filterQry = boxFilters.boxQuery(req.params);
+  if (filterQry instanceof Error) {
+    return next(filterQry);
+  }
+
+  findPhenomenonValues(phenomenon, filterQry, targetUnits, dateWindow)
+    .then(function (result) {
+      if (result instanceof Error) {
+        return next(result);
+      }
+
+      var values = interpolation.interpolateGrid(result.points, grid);
+
+      if (format === 'geojson') {
+        return res.send(interpolation.toFeatureCollection(grid, values));
+      }
+
+      res.send({
+        phenomenon: phenomenon,
+        unit: result.unit,
+        fromDate: dateWindow.fromDate.toISOString(),
+        toDate: dateWindow.toDate.toISOString(),
+        bbox: grid.bbox,
+        cellSize: grid.cellSize,
+        columns: grid.columns,
+        rows: grid.rows,
+        boxes: result.points.length,
+        values: values
+      });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+// finds the boxes matching filterQry with sensors observing the phenomenon
+// and averages the numeric measurements of the sensors of each box in the
+// dateWindow. Without dateWindow, the latest measurements not older than
+// minDate are used. Resolves with the points ({boxId, lng, lat, value}) and
+// the unit of the values or with an error if the units of the sensors differ
+function findPhenomenonValues (phenomenon, filterQry, targetUnits, dateWindow, minDate) {
+  return Box.find(Object.assign(phenomena.boxQuery(phenomenon), filterQry), { loc: 1, sensors: 1 })
+    .lean()
+    .exec()
+    .then(function (boxes) {
+      var sensors = {},
+        locations = {},
+        lastMeasurements = [];
+      for (var box of boxes) {
+        for (var sensor of box.sensors) {
+          if (phenomena.sensorMatches(sensor, phenomenon)) {
+            sensors[sensor._id] = sensor;
+            locations[sensor._id] = {
+              boxId: box._id.toString(),
+              lng: box.loc[0].geometry.coordinates[0],
+              lat: box.loc[0].geometry.coordinates[1]
+            };
+            if (sensor.lastMeasurement) {
+              lastMeasurements.push(sensor.lastMeasurement);
+            }
+          }
+        }
+      }
+
+      var converters = targetUnits ? units.createConverters(sensors, targetUnits) : {};
+      if (converters instanceof Error) {
+        return converters;
+      }
+      var sensorUnits = [];
+      for (var sensorId of Object.keys(sensors)) {
+        var unit = converters[sensorId] ? converters[sensorId].unit : sensors[sensorId].unit;
+        if (!sensorUnits.includes(unit)) {
+          sensorUnits.push(unit);
+        }
+      }
+      if (sensorUnits.length > 1) {
+        return new restify.UnprocessableEntityError('The sensors are measuring in different units (' + sensorUnits.join(', ') + '). Please specify the parameter unit');
+      }
+
+      var qry = { _id: { '$in': lastMeasurements } };
+      if (dateWindow) {
+        qry = {
+          sensor_id: { '$in': Object.keys(sensors) },
+          createdAt: { '$gte': dateWindow.fromDate, '$lte': dateWindow.toDate }
+        };
+      } else if (minDate) {
+        qry.createdAt = { '$gte': minDate };
+      }
+
+      var stream = Measurement.find(qry, { value: 1, numericValue: 1, sensor_id: 1, _id: 0 })
+        .lean()
+        .cursor({ batchSize: 500 })
+        .pipe(units.createConversionStream(converters));
+
+      return interpolation.collectPoints(stream, locations)
+        .then(function (points) {
+          return { points: points, unit: sensorUnits[0] };
+        });
+    });
+}
+
+/**
+ * @api {get} /boxes/bins?phenomenon=:phenomenon Group the values of a phenomenon into cells
+ * @apiDescription Group the senseBoxes observing a phenomenon into hexagonal or square cells for rendering maps at low zoom levels. Every cell contains the number of senseBoxes in it and the mean, minimum and maximum of their values. Empty cells are omitted.
+ *
+ * The value of a senseBox is its latest measurement or, if `date` is given, the mean of its measurements in the time frame. If a senseBox has several sensors observing the phenomenon, their values are averaged. senseBoxes without numeric values are ignored. The cells are laid out in degrees: hexagons are pointy topped and `cellSize` wide.
+ * @apiName getBins
+ * @apiGroup Measurements
+ * @apiVersion 0.1.0
+ * @apiParam {String} phenomenon The id or an alias of the phenomenon (see `GET /phenomena`) or the title of the sensors, for example `temperature` or `Temperatur`.
+ * @apiParam {String="hex","square"} shape=hex the shape of the cells.
+ * @apiParam {Number} cellSize (optional) The width of the cells in degrees (default: 1).
+ * @apiParam {Number} zoom (optional) Instead of cellSize: the zoom level of the map (0 to 20). The cells are a quarter of the width of a map tile.
+ * @apiParam {String} date (optional) A time frame given as two comma separated timestamps or a single timestamp, which is extended to 4 hours before and after it. The time frame may be at most 31 days long.
+ * @apiParam {String} maxAge (optional) Without date: ignore latest measurements older than this: a number followed by `m` (minutes), `h` (hours) or `d` (days), for example `30m` or `1d`.
+ * @apiParam {String} bbox (optional) Only use the senseBoxes in the bounding box `minLng,minLat,maxLng,maxLat`. The other filters of `findAllBoxes` like `grouptag` or `exposure` are supported as well.
+ * @apiParam {String="json","geojson"} format=json the format the cells are returned in. GeoJSON contains one Polygon feature per cell.
+ * @apiUse UnitParam
+ * @apiSuccess {Object[]} cells with the center `lng` and `lat`, `count`, `mean`, `min` and `max`
+ * @apiSampleRequest https://api.opensensemap.org/boxes/bins?phenomenon=temperature&zoom=4&maxAge=1h&format=geojson
+ */
+function getBins (req, res, next) {
+  if (typeof req.params['phenomenon'] === 'undefined' || req.params['phenomenon'].toString().trim() === '') {
+    return next(new restify.InvalidArgumentError('Parameter phenomenon is required'));
+  }
+  var phenomenon = req.params['phenomenon'].toString().trim();
+
+  var format = getFormat(req, ['json', 'geojson'], 'json');
+  if (typeof format === 'undefined') {
+    return next(new restify.InvalidArgumentError('Invalid format: ' + req.params['format']));
+  }
+
+  var shape = binning.parseShape(req.params);
+  if (shape instanceof Error) {
+    return next(shape);
+  }
+
+  var cellSize = binning.parseCellSize(req.params);
+  if (cellSize instanceof Error) {
+    return next(cellSize);
+  }
+
+  var dateWindow;
+  if (typeof req.params['date'] !== 'undefined' && req.params['date'].toString().trim() !== '') {
+    dateWindow = utils.parseDateWindow(req.params['date'].toString());
+    if (typeof dateWindow === 'undefined') {
+      return next(new restify.InvalidArgumentError('Invalid parameter date. Expected a timestamp or two comma separated timestamps'));
+    }
+    if (moment(dateWindow.toDate).diff(dateWindow.fromDate, 'days') > 31) {
+      return next(new restify.InvalidArgumentError('Please choose a time frame up to 31 days maximum'));
+    }
+  }
+
+  var minDate;
+  if (typeof req.params['maxAge'] !== 'undefined' && req.params['maxAge'].toString().trim() !== '') {
+    var maxAge = aggregation.parseInterval(req.params['maxAge']);
+    if (maxAge instanceof Error) {
+      return next(new restify.InvalidArgumentError('Invalid parameter maxAge. Expected a number followed by m, h or d (e.g. 30m, 1h, 1d)'));
+    }
+    minDate = new Date(Date.now() - maxAge);
+  }
+
+  var targetUnits = units.parseUnitParameter(req);
+  if (targetUnits instanceof Error) {
+    return next(targetUnits);
+  }
+
+  var filterQry = boxFilters.boxQuery(req.params);
+  if (filterQry instanceof Error) {
+    return next(filterQry);
+  }
+
+  findPhenomenonValues(phenomenon, filterQry, targetUnits, dateWindow, minDate)
+    .then(function (result) {
+      if (result instanceof Error) {
+        return next(result);
+      }
+
+      var cells = binning.binPoints(result.points, shape, cellSize);
+
+      if (format === 'geojson') {
+        return res.send(binning.toFeatureCollection(cells));
+      }
+
+      res.send(cells.map(function (cell) {
+        return { lng: cell.lng, lat: cell.lat, count: cell.count, mean: cell.mean, min: cell.min, max: cell.max };
+      }));
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {get} /boxes/latest?phenomenon=:phenomenon Get the latest measurements of a phenomenon
+ * @apiDescription Get the latest measurement of every sensor observing the phenomenon as a compact list. Sensors without measurements are omitted.
+ *
+ * The spatial and attribute filters of `findAllBoxes` can be used to restrict the senseBoxes.
+ * @apiName getLatestMeasurements
+ * @apiGroup Measurements
+ * @apiVersion 0.1.0
+ * @apiParam {String} phenomenon The id or an alias of the phenomenon (see `GET /phenomena`) or the title of the sensors, for example `temperature` or `Temperatur`.
+ * @apiParam {String} maxAge (optional) Omit measurements older than this: a number followed by `m` (minutes), `h` (hours) or `d` (days), for example `30m` or `1d`.
+ * @apiParam {String="json","geojson","csv"} format=json the format the measurements are returned in.
+ * @apiUse SeparatorParam
+ * @apiSuccess {Object[]} measurements with `boxId`, `boxName`, `sensorId`, `lat`, `lng`, `value`, `unit` and `createdAt`
+ * @apiSampleRequest https://api.opensensemap.org/boxes/latest?phenomenon=Temperatur&maxAge=1h
+ */
+function getLatestMeasurements (req, res, next) {
+  if (typeof req.params['phenomenon'] === 'undefined' || req.params['phenomenon'].toString().trim() === '') {
+    return next(new restify.InvalidArgumentError('Parameter phenomenon is required'));
+  }
+  var phenomenon = req.params['phenomenon'].toString().trim();
+
+  var format = getFormat(req, ['json', 'geojson', 'csv'], 'json');
+  if (typeof format === 'undefined') {
+    return next(new restify.InvalidArgumentError('Invalid format: ' + req.params['format']));
+  }
+
+  var minDate;
+  if (typeof req.params['maxAge'] !== 'undefined' && req.params['maxAge'].toString().trim() !== '') {
+    var maxAge = aggregation.parseInterval(req.params['maxAge']);
+    if (maxAge instanceof Error) {
+      return next(new restify.InvalidArgumentError('Invalid parameter maxAge. Expected a number followed by m, h or d (e.g. 30m, 1h, 1d)'));
+    }
+    minDate = new Date(Date.now() - maxAge);
+  }
+
+  var filterQry = boxFilters.boxQuery(req.params);
+  if (filterQry instanceof Error) {
+    return next(filterQry);
+  }
+
+  var latest = [];
+
+  Box.find(Object.assign(phenomena.boxQuery(phenomenon), filterQry), { name: 1, loc: 1, sensors: 1 })
+    .lean()
+    .exec()
+    .then(function (boxes) {
+      for (var box of boxes) {
+        for (var sensor of box.sensors) {
+          if (phenomena.sensorMatches(sensor, phenomenon) && sensor.lastMeasurement) {
+            latest.push({
+              boxId: box._id.toString(),
+              boxName: box.name,
+              sensorId: sensor._id.toString(),
+              lat: box.loc[0].geometry.coordinates[1],
+              lng: box.loc[0].geometry.coordinates[0],
+              unit: sensor.unit,
+              lastMeasurement: sensor.lastMeasurement
+            });
+          }
+        }
+      }
+
+      var qry = { _id: { '$in': latest.map(l => l.lastMeasurement) } };
+      if (minDate) {
+        qry.createdAt = { '$gte': minDate };
+      }
+      return Measurement.find(qry, { value: 1, numericValue: 1, createdAt: 1 }).lean().exec();
+    })
+    .then(function (measurements) {
+      var measurementsById = {};
+      for (var measurement of measurements) {
+        measurementColumns.useNumericValue(measurement);
+        measurementsById[measurement._id] = measurement;
+      }
+
+      latest = latest.filter(function (l) {
+        var measurement = measurementsById[l.lastMeasurement];
+        l.lastMeasurement = undefined;
+        if (measurement) {
+          l.value = measurement.value;
+          l.createdAt = measurement.createdAt.toISOString();
+          return true;
+        }
+      });
+
+      if (format === 'geojson') {
+        return res.send(GeoJSON.parse(latest, { Point: ['lat', 'lng'] }));
+      }
+
+      if (format === 'csv') {
+        var columns = ['boxId', 'boxName', 'sensorId', 'lat', 'lng', 'value', 'unit', 'createdAt'];
+        return csvstringify(latest, { columns: columns, header: 1, delimiter: getSeparator(req) }, function (err, csv) {
+          if (err) {
+            Honeybadger.notify(err);
+            return next(new restify.InternalServerError(err.message));
+          }
+          res.header('Content-Type', 'text/csv');
+          res.end(csv);
+        });
+      }
+
+      res.send(latest);
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {get} /boxes/:boxId Get one senseBox
+ * @apiName findBox
+ * @apiVersion 0.0.1
+ * @apiGroup Boxes
+ * @apiUse BoxIdParam
  * @apiParam {String="json","geojson"} format=json the format the sensor data is returned in.
  * @apiSuccessExample Example data on success:
  * {
@@ -1077,11 +2492,62 @@ function findBox (req, res, next) {
     });
 }
 
+/**
+ * @api {get} /boxes/:senseBoxId/locations Get the location history of a senseBox
+ * @apiDescription Get all locations of a senseBox ordered by time. Each location is valid from its `timestamp` until the `timestamp` of the next location. Locations are added when the location of the senseBox is changed with `PUT /boxes/:senseBoxId`. The track of mobile senseBoxes is stored with their measurements, use `GET /boxes/:senseBoxId/data/:sensorId?format=geojson` instead.
+ * @apiName getLocations
+ * @apiGroup Boxes
+ * @apiVersion 0.1.0
+ * @apiUse BoxIdParam
+ * @apiParam {String="json","geojson"} format=json the format of the locations. With `geojson`, a FeatureCollection of Points with the `timestamp` as property is returned.
+ * @apiSuccess {Object[]} locations the locations with `coordinates` ([longitude, latitude]) and `timestamp`
+ */
+function getLocations (req, res, next) {
+  var format = getFormat(req, ['json', 'geojson'], 'json');
+  if (typeof format === 'undefined') {
+    return next(new restify.InvalidArgumentError('Invalid format: ' + req.params['format']));
+  }
+
+  Box.findById(req.boxId, { loc: 1, locations: 1, createdAt: 1 })
+    .lean()
+    .exec()
+    .then(function (box) {
+      if (!box) {
+        return next(new restify.NotFoundError('senseBox not found'));
+      }
+
+      let locations = locationHistory.historyOf(box).map(function (location) {
+        return { coordinates: location.coordinates, timestamp: location.timestamp };
+      });
+
+      if (format === 'geojson') {
+        return res.send(200, {
+          type: 'FeatureCollection',
+          features: locations.map(function (location) {
+            return {
+              type: 'Feature',
+              geometry: { type: 'Point', coordinates: location.coordinates },
+              properties: { timestamp: location.timestamp }
+            };
+          })
+        });
+      }
+      res.send(200, locations);
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
 /**
  * @api {post} /boxes Post new senseBox
  * @apiDescription Create a new senseBox. This method allows you to submit a new senseBox.
  *
- * Along with the senseBox, an user is created which then owns the senseBox.
+ * Along with the senseBox, an user is created which then owns the senseBox. If the request is signed in with
+ * `Authorization: Bearer <token>` (see `POST /users/sign-in`), the senseBox is added to the account instead and
+ * the user parameters are not needed. Without signing in, the email must not belong to an account.
  *
  * If you specify `mqtt` parameters, the openSenseMap API will try to connect to the MQTT broker
  * specified by you. The parameter `messageFormat` tells the API in which format you are sending
@@ -1119,34 +2585,69 @@ function postNewBox (req, res, next) {
   log.debug('A new sensebox is being submitted');
   var newBox = Box.newFromRequest(req);
 
-  User.createForBoxRequest(newBox, req)
-    .then(function (user) {
-      // user is saved at this point, newBox not
-      // try to save the box
-      return newBox.save()
-        .then(function (box) {
-          // box is now saved
-          // generate the script and send mails
-          // also post to slack
-          try {
-            genScript(box, box.model);
-          } catch (err) {
-            log.error(err);
-            Honeybadger.notify(err);
-          }
-          res.send(201, user);
-          mails.sendWelcomeMail(user, box);
+  accounts.findUserForRequest(req)
+    .then(function (account) {
+      if (account instanceof Error) {
+        return next(account);
+      }
+
+      return createBoxOwner(account, newBox, req)
+        .then(function (user) {
+          // user is saved at this point, newBox not
+          // try to save the box
+          return newBox.save()
+            .then(function (box) {
+              // box is now saved
+              // generate the script and send mails
+              // also post to slack
+              try {
+                genScript(box, box.model);
+              } catch (err) {
+                log.error(err);
+                Honeybadger.notify(err);
+              }
+              res.send(201, user);
+              mails.sendWelcomeMail(user, box);
+            });
+        })
+        .then(function () {
+          _postToSlack('Eine neue <https://opensensemap.org/explore/' + newBox._id + '|senseBox> wurde registriert (' + newBox.name + ')');
         });
     })
-    .then(function () {
-      _postToSlack('Eine neue <https://opensensemap.org/explore/' + newBox._id + '|senseBox> wurde registriert (' + newBox.name + ')');
-    })
     .catch(function (err) {
       log.error(err);
       return next(new restify.InvalidArgumentError(err.message + '. ' + err));
     });
 }
 
+// adds the new box to the account of the signed in user. Without account, a
+// user is created for the box, unless the email belongs to an account
+function createBoxOwner (account, box, req) {
+  if (account) {
+    account.boxes.push(box._id.toString());
+    return account.save();
+  }
+
+  return User.findAccountByEmail(req.params.user.email)
+    .then(function (existing) {
+      if (existing) {
+        throw new Error('An account with this email exists. Sign in to add the senseBox to it');
+      }
+      return User.createForBoxRequest(box, req);
+    });
+}
+
+// the names of the sensor id defines in the Arduino templates for each phenomenon
+const SCRIPT_SENSOR_DEFINES = {
+  temperature: 'TEMPSENSOR_ID',
+  relative_humidity: 'HUMISENSOR_ID',
+  air_pressure: 'PRESSURESENSOR_ID',
+  loudness: 'NOISESENSOR_ID',
+  brightness: 'LIGHTSENSOR_ID',
+  illuminance: 'LUXSENSOR_ID',
+  uv_intensity: 'UVSENSOR_ID'
+};
+
 // generate Arduino script
 function genScript (box, model) {
   var output = cfg.targetFolder + '' + box._id + '.ino';
@@ -1194,20 +2695,9 @@ function genScript (box, model) {
         for (var i = box.sensors.length - 1; i >= 0; i--) {
           var sensor = box.sensors[i];
           log.debug(sensor);
-          if (!isCustom && sensor.title === 'Temperatur') {
-            fs.appendFileSync(output, '#define TEMPSENSOR_ID "' + sensor._id + '"\n');
-          } else if (!isCustom && sensor.title === 'rel. Luftfeuchte') {
-            fs.appendFileSync(output, '#define HUMISENSOR_ID "' + sensor._id + '"\n');
-          } else if (!isCustom && sensor.title === 'Luftdruck') {
-            fs.appendFileSync(output, '#define PRESSURESENSOR_ID "' + sensor._id + '"\n');
-          } else if (!isCustom && sensor.title === 'Lautstärke') {
-            fs.appendFileSync(output, '#define NOISESENSOR_ID "' + sensor._id + '"\n');
-          } else if (!isCustom && sensor.title === 'Helligkeit') {
-            fs.appendFileSync(output, '#define LIGHTSENSOR_ID "' + sensor._id + '"\n');
-          } else if (!isCustom && sensor.title === 'Beleuchtungsstärke') {
-            fs.appendFileSync(output, '#define LUXSENSOR_ID "' + sensor._id + '"\n');
-          } else if (!isCustom && sensor.title === 'UV-Intensität') {
-            fs.appendFileSync(output, '#define UVSENSOR_ID "' + sensor._id + '"\n');
+          var define = SCRIPT_SENSOR_DEFINES[phenomena.phenomenonIdOf(sensor)];
+          if (!isCustom && define) {
+            fs.appendFileSync(output, '#define ' + define + ' "' + sensor._id + '"\n');
           } else {
             fs.appendFileSync(output, '#define SENSOR' + customSensorindex + '_ID "' + sensor._id + '" \/\/ ' + sensor.title + '\n');
             customSensorindex++;
@@ -1228,6 +2718,7 @@ function genScript (box, model) {
  * @apiGroup Boxes
  * @apiVersion 0.1.0
  * @apiUse AuthorizationRequiredError
+ * @apiPermission viewer
  * @apiUse BoxIdParam
  */
 function getScript (req, res, next) {
@@ -1253,6 +2744,7 @@ function getScript (req, res, next) {
  * @apiGroup Boxes
  * @apiVersion 0.1.0
  * @apiUse AuthorizationRequiredError
+ * @apiPermission owner
  * @apiUse BoxIdParam
  */
 function deleteBox (req, res, next) {
@@ -1265,6 +2757,590 @@ function deleteBox (req, res, next) {
     });
 }
 
+/**
+ * @api {delete} /boxes/:senseBoxId/:sensorId/measurements Delete measurements of a sensor
+ * @apiDescription Delete measurements of a sensor, either in the time frame given by `from-date` and `to-date` or the measurements with the exact timestamps given in `timestamps`. The latest measurement of the sensor is updated accordingly.
+ * @apiName deleteMeasurements
+ * @apiGroup Measurements
+ * @apiVersion 0.1.0
+ * @apiUse AuthorizationRequiredError
+ * @apiPermission owner
+ * @apiUse BoxIdParam
+ * @apiUse SensorIdParam
+ * @apiParam {String} from-date Beginning date of the measurements to delete. Required if `timestamps` is not used.
+ * @apiParam {String} to-date End date of the measurements to delete. Required if `timestamps` is not used.
+ * @apiParam {String[]} timestamps The timestamps of the measurements to delete. Also accepts a comma separated list.
+ */
+function deleteMeasurements (req, res, next) {
+  var createdAtQry;
+  var timestamps = req.params['timestamps'];
+
+  if (typeof timestamps !== 'undefined' && timestamps !== '') {
+    if (!Array.isArray(timestamps)) {
+      timestamps = timestamps.toString().split(',');
+    }
+
+    var dates = [];
+    for (var ts of timestamps) {
+      var parsedTime = utils.parseTimestamp(ts.toString().trim());
+      if (!parsedTime.isValid()) {
+        return next(new restify.InvalidArgumentError('Invalid timestamp ' + ts));
+      }
+      dates.push(parsedTime.toDate());
+    }
+    createdAtQry = { '$in': dates };
+  } else {
+    var fromDate = utils.parseTimeParameter(req, next, 'from-date');
+    var toDate = utils.parseTimeParameter(req, next, 'to-date');
+    if (typeof fromDate === 'undefined' || typeof toDate === 'undefined') {
+      return next(new restify.InvalidArgumentError('Please specify from-date and to-date or timestamps'));
+    }
+    if (!moment.isMoment(fromDate)) {
+      return next(fromDate);
+    }
+    if (!moment.isMoment(toDate)) {
+      return next(toDate);
+    }
+    if (fromDate.isAfter(toDate)) {
+      return next(new restify.InvalidArgumentError('Invalid time frame specified: from-date (' + fromDate.format() + ') is after to-date (' + toDate.format() + ')'));
+    }
+    createdAtQry = { '$gte': fromDate.toDate(), '$lte': toDate.toDate() };
+  }
+
+  Box.findById(req.boxId)
+    .then(function (box) {
+      if (!box) {
+        return next(new restify.NotFoundError('senseBox not found'));
+      }
+      if (!box.sensorIds().includes(req.params.sensorId)) {
+        return next(new restify.NotFoundError('sensor not found'));
+      }
+
+      return box.deleteMeasurementsOfSensor(req.params.sensorId, createdAtQry)
+        .then(function (count) {
+          res.send(200, count + ' measurements deleted');
+        });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {get} /boxes/:senseBoxId/:sensorId/flags Get the quality flags of a sensor
+ * @apiDescription Get all quality flags of a sensor, ordered by the beginning of the flagged time frame.
+ * @apiName getQualityFlags
+ * @apiGroup Measurements
+ * @apiVersion 0.1.0
+ * @apiUse BoxIdParam
+ * @apiUse SensorIdParam
+ * @apiSuccess {Object[]} flags the flags with `_id`, `flag`, `reason`, `fromDate`, `toDate` and `measurement_id` for flags of single measurements
+ */
+function getQualityFlags (req, res, next) {
+  Box.findById(req.boxId)
+    .then(function (box) {
+      if (!box) {
+        return next(new restify.NotFoundError('senseBox not found'));
+      }
+      if (!box.sensorIds().includes(req.params.sensorId)) {
+        return next(new restify.NotFoundError('sensor not found'));
+      }
+
+      return QualityFlag.find({ sensor_id: req.params.sensorId }, { __v: 0 })
+        .sort({ fromDate: 1 })
+        .lean()
+        .exec()
+        .then(function (flags) {
+          res.send(200, flags);
+        });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {post} /boxes/:senseBoxId/:sensorId/flags Flag measurements of a sensor
+ * @apiDescription Mark a single measurement or all measurements of a time frame as `suspect`, `invalid` or `corrected`. Flagged measurements are not deleted. They can be filtered with the parameter `quality` when downloading measurements. If measurements are covered by multiple flags, the most recent flag is used.
+ * @apiName postNewQualityFlag
+ * @apiGroup Measurements
+ * @apiVersion 0.1.0
+ * @apiUse AuthorizationRequiredError
+ * @apiPermission editor
+ * @apiUse BoxIdParam
+ * @apiUse SensorIdParam
+ * @apiParam (RequestBody) {String="suspect","invalid","corrected"} flag the quality of the measurements
+ * @apiParam (RequestBody) {String} reason why the measurements are flagged
+ * @apiParam (RequestBody) {String} measurementId the ID of the measurement to flag. Required if `from-date` and `to-date` are not used.
+ * @apiParam (RequestBody) {String} from-date Beginning date of the measurements to flag.
+ * @apiParam (RequestBody) {String} to-date End date of the measurements to flag.
+ * @apiSuccess (Created 201) {Object} flag the created flag
+ */
+function postNewQualityFlag (req, res, next) {
+  var flagData = {
+    sensor_id: req.params.sensorId,
+    flag: req.params['flag'],
+    reason: req.params['reason']
+  };
+
+  var measurementId = req.params['measurementId'];
+  if (typeof measurementId !== 'undefined' && measurementId !== '') {
+    if (!mongoose.Types.ObjectId.isValid(measurementId.toString())) {
+      return next(new restify.BadRequestError('Parameter measurementId is not valid'));
+    }
+    flagData.measurement_id = measurementId.toString();
+  } else {
+    var fromDate = utils.parseTimeParameter(req, next, 'from-date');
+    var toDate = utils.parseTimeParameter(req, next, 'to-date');
+    if (typeof fromDate === 'undefined' || typeof toDate === 'undefined') {
+      return next(new restify.InvalidArgumentError('Please specify from-date and to-date or measurementId'));
+    }
+    if (!moment.isMoment(fromDate)) {
+      return next(fromDate);
+    }
+    if (!moment.isMoment(toDate)) {
+      return next(toDate);
+    }
+    if (fromDate.isAfter(toDate)) {
+      return next(new restify.InvalidArgumentError('Invalid time frame specified: from-date (' + fromDate.format() + ') is after to-date (' + toDate.format() + ')'));
+    }
+    flagData.fromDate = fromDate.toDate();
+    flagData.toDate = toDate.toDate();
+  }
+
+  Box.findById(req.boxId)
+    .then(function (box) {
+      if (!box) {
+        return next(new restify.NotFoundError('senseBox not found'));
+      }
+      if (!box.sensorIds().includes(req.params.sensorId)) {
+        return next(new restify.NotFoundError('sensor not found'));
+      }
+
+      var measurementQry = Promise.resolve();
+      if (flagData.measurement_id) {
+        measurementQry = Measurement.findOne({ _id: flagData.measurement_id, sensor_id: req.params.sensorId }, { createdAt: 1 })
+          .lean()
+          .exec();
+      }
+
+      return measurementQry.then(function (measurement) {
+        if (flagData.measurement_id) {
+          if (!measurement) {
+            return next(new restify.NotFoundError('measurement not found'));
+          }
+          flagData.fromDate = measurement.createdAt;
+          flagData.toDate = measurement.createdAt;
+        }
+
+        return new QualityFlag(flagData).save()
+          .then(function (flag) {
+            flag = flag.toObject();
+            flag.__v = undefined;
+            res.send(201, flag);
+          });
+      });
+    })
+    .catch(function (err) {
+      if (err.name === 'ValidationError') {
+        return next(new restify.UnprocessableEntityError(err.message + '. ' + err));
+      }
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {delete} /boxes/:senseBoxId/:sensorId/flags/:flagId Delete a quality flag
+ * @apiName deleteQualityFlag
+ * @apiGroup Measurements
+ * @apiVersion 0.1.0
+ * @apiUse AuthorizationRequiredError
+ * @apiPermission editor
+ * @apiUse BoxIdParam
+ * @apiUse SensorIdParam
+ * @apiParam {String} :flagId the ID of the flag to delete
+ */
+function deleteQualityFlag (req, res, next) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.flagId)) {
+    return next(new restify.BadRequestError('Parameter :flagId is not valid'));
+  }
+
+  Box.findById(req.boxId)
+    .then(function (box) {
+      if (!box) {
+        return next(new restify.NotFoundError('senseBox not found'));
+      }
+      if (!box.sensorIds().includes(req.params.sensorId)) {
+        return next(new restify.NotFoundError('sensor not found'));
+      }
+
+      return QualityFlag.findOneAndRemove({ _id: req.params.flagId, sensor_id: req.params.sensorId })
+        .exec()
+        .then(function (flag) {
+          if (!flag) {
+            return next(new restify.NotFoundError('flag not found'));
+          }
+          res.send(200, 'Flag deleted');
+        });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+// device tokens without their hashes
+function describeDeviceTokens (box) {
+  return box.deviceTokens.map(function (t) {
+    return { _id: t._id, name: t.name, createdAt: t.createdAt };
+  });
+}
+
+/**
+ * @api {get} /boxes/:senseBoxId/tokens Get the device tokens of a senseBox
+ * @apiDescription Get the device tokens of a senseBox. The tokens themselves are only returned once when they are created.
+ * @apiName getDeviceTokens
+ * @apiGroup Boxes
+ * @apiVersion 0.1.0
+ * @apiUse AuthorizationRequiredError
+ * @apiPermission editor
+ * @apiUse BoxIdParam
+ * @apiSuccess {Boolean} requireAuthentication if measurements are only accepted with a device token
+ * @apiSuccess {Object[]} tokens the device tokens with `_id`, `name` and `createdAt`
+ */
+function getDeviceTokens (req, res, next) {
+  Box.findById(req.boxId)
+    .select('+deviceTokens')
+    .then(function (box) {
+      if (!box) {
+        return next(new restify.NotFoundError('senseBox not found'));
+      }
+      res.send(200, { requireAuthentication: box.requireAuthentication, tokens: describeDeviceTokens(box) });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {post} /boxes/:senseBoxId/tokens Create a device token for a senseBox
+ * @apiDescription Create a new device token for uploading measurements to a senseBox which requires authentication. Store the returned `token` on the device, it cannot be retrieved again. Devices send it in the header `x-device-token` or the query parameter `token`.
+ * @apiName postNewDeviceToken
+ * @apiGroup Boxes
+ * @apiVersion 0.1.0
+ * @apiUse AuthorizationRequiredError
+ * @apiPermission editor
+ * @apiUse BoxIdParam
+ * @apiParam (RequestBody) {String} name a name to recognize the device by
+ * @apiSuccess (Created 201) {Object} token the created device token with `_id`, `name`, `createdAt` and `token`
+ */
+function postNewDeviceToken (req, res, next) {
+  Box.findById(req.boxId)
+    .select('+deviceTokens')
+    .then(function (box) {
+      if (!box) {
+        return next(new restify.NotFoundError('senseBox not found'));
+      }
+
+      let token = box.addDeviceToken(req.params['name']);
+      return box.save()
+        .then(function () {
+          res.send(201, token);
+        });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {delete} /boxes/:senseBoxId/tokens/:tokenId Revoke a device token
+ * @apiDescription Revoke a device token. Measurements authenticated with it are rejected from now on.
+ * @apiName deleteDeviceToken
+ * @apiGroup Boxes
+ * @apiVersion 0.1.0
+ * @apiUse AuthorizationRequiredError
+ * @apiPermission editor
+ * @apiUse BoxIdParam
+ * @apiParam {String} :tokenId the ID of the device token
+ */
+function deleteDeviceToken (req, res, next) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.tokenId)) {
+    return next(new restify.BadRequestError('Parameter :tokenId is not valid'));
+  }
+
+  Box.findById(req.boxId)
+    .select('+deviceTokens')
+    .then(function (box) {
+      if (!box) {
+        return next(new restify.NotFoundError('senseBox not found'));
+      }
+
+      let token = box.deviceTokens.id(req.params.tokenId);
+      if (!token) {
+        return next(new restify.NotFoundError('device token not found'));
+      }
+      token.remove();
+      return box.save()
+        .then(function () {
+          res.send(200, 'Device token revoked');
+        });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+// the apikey belongs to the owner of the senseBox, collaborators with the
+// role owner must not replace it. Returns an error if the authorized user
+// does not own the senseBox
+function checkApikeyOwner (req) {
+  if (req.authorized_with_previous_apikey) {
+    return new restify.NotAuthorizedError('ApiKey has been replaced, please use the current apikey');
+  }
+  if (!req.authorized_user.boxes.includes(req.boxId)) {
+    return new restify.NotAuthorizedError('Only the owner of the senseBox can change its apikey');
+  }
+}
+
+/**
+ * @api {put} /boxes/:senseBoxId/apikey Rotate the apikey
+ * @apiDescription Replace the apikey of the owner of the senseBox with a new one. If the owner has an account, the apikey of all senseBoxes of the account changes. With `gracePeriod`, the previous apikey stays valid for the given number of hours, so scripts using it can be updated. Rotating requires the current apikey or a session of the account owning the senseBox, previous apikeys and collaborators with the role `owner` are not accepted. The owner is notified by mail.
+ * @apiName rotateApikey
+ * @apiGroup Boxes
+ * @apiVersion 0.1.0
+ * @apiUse AuthorizationRequiredError
+ * @apiPermission owner
+ * @apiUse BoxIdParam
+ * @apiParam (RequestBody) {Number} gracePeriod=0 hours the previous apikey stays valid, up to 720
+ * @apiSuccess {String} apikey the new apikey
+ * @apiSuccess {Date} previousApikeyValidUntil the end of the grace period of the previous apikey, if any
+ */
+function rotateApikey (req, res, next) {
+  let ownerError = checkApikeyOwner(req);
+  if (ownerError) {
+    return next(ownerError);
+  }
+  let gracePeriod = accounts.parseGracePeriod(req.params['gracePeriod']);
+  if (gracePeriod instanceof Error) {
+    return next(gracePeriod);
+  }
+
+  let user = req.authorized_user;
+  Box.findById(req.boxId)
+    .then(function (box) {
+      if (!box) {
+        return next(new restify.NotFoundError('senseBox not found'));
+      }
+
+      let validUntil = user.rotateApikey(accounts.generateApiKey(), gracePeriod);
+      return user.save()
+        .then(function () {
+          res.send(200, { apikey: user.apikey, previousApikeyValidUntil: validUntil });
+          mails.sendApikeyRotatedMail(user, box, validUntil);
+        });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {delete} /boxes/:senseBoxId/apikey/previous Revoke previous apikeys
+ * @apiDescription End the grace period of all previous apikeys of the owner of the senseBox immediately. Requires the current apikey or a session of the account owning the senseBox, collaborators with the role `owner` are not accepted.
+ * @apiName revokePreviousApikeys
+ * @apiGroup Boxes
+ * @apiVersion 0.1.0
+ * @apiUse AuthorizationRequiredError
+ * @apiPermission owner
+ * @apiUse BoxIdParam
+ */
+function revokePreviousApikeys (req, res, next) {
+  let ownerError = checkApikeyOwner(req);
+  if (ownerError) {
+    return next(ownerError);
+  }
+
+  let user = req.authorized_user;
+  user.previousApikeys = [];
+  user.save()
+    .then(function () {
+      res.send(200, 'Previous apikeys revoked');
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+// the collaborators of the box with the names and emails of their accounts
+function describeCollaborators (box) {
+  let userIds = box.collaborators.map(c => c.user);
+  return User.find({ _id: { '$in': userIds } }, { firstname: 1, lastname: 1, email: 1 })
+    .lean()
+    .exec()
+    .then(function (users) {
+      return box.collaborators.map(function (collaborator) {
+        let user = users.find(u => u._id.toString() === collaborator.user) || {};
+        return {
+          user: collaborator.user,
+          firstname: user.firstname,
+          lastname: user.lastname,
+          email: user.email,
+          role: collaborator.role,
+          createdAt: collaborator.createdAt
+        };
+      });
+    });
+}
+
+/**
+ * @api {get} /boxes/:senseBoxId/collaborators Get the collaborators of a senseBox
+ * @apiDescription Get the users who may manage the senseBox with their own account besides its owner. Collaborators sign in with `POST /users/sign-in` and send their session token as `Authorization: Bearer <token>`.
+ * @apiName getCollaborators
+ * @apiGroup Boxes
+ * @apiVersion 0.1.0
+ * @apiUse AuthorizationRequiredError
+ * @apiPermission viewer
+ * @apiUse BoxIdParam
+ * @apiSuccess {Object[]} collaborators the collaborators with `user` (the ID of the user), `firstname`, `lastname`, `email`, `role` and `createdAt`
+ */
+function getCollaborators (req, res, next) {
+  Box.findById(req.boxId)
+    .select('+collaborators')
+    .then(function (box) {
+      if (!box) {
+        return next(new restify.NotFoundError('senseBox not found'));
+      }
+      return describeCollaborators(box)
+        .then(function (boxCollaborators) {
+          res.send(200, boxCollaborators);
+        });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {post} /boxes/:senseBoxId/collaborators Invite a collaborator to a senseBox
+ * @apiDescription Allow the user with the account of the email to manage the senseBox. `viewer`s can download the sketch and see the hidden fields of the senseBox, `editor`s can additionally edit the senseBox, flag measurements and manage device tokens, `owner`s can do everything. If the user already is a collaborator, the role is changed. The user is notified by mail.
+ * @apiName postNewCollaborator
+ * @apiGroup Boxes
+ * @apiVersion 0.1.0
+ * @apiUse AuthorizationRequiredError
+ * @apiPermission owner
+ * @apiUse BoxIdParam
+ * @apiParam (RequestBody) {String} email the email of the account of the user
+ * @apiParam (RequestBody) {String="viewer","editor","owner"} role the role of the user
+ * @apiSuccess (Created 201) {Object[]} collaborators all collaborators of the senseBox
+ */
+function postNewCollaborator (req, res, next) {
+  let role = collaborators.parseRole(req.params['role']);
+  if (role instanceof Error) {
+    return next(role);
+  }
+  if (typeof req.params['email'] === 'undefined') {
+    return next(new restify.UnprocessableEntityError('missing parameter email'));
+  }
+
+  Promise.all([Box.findById(req.boxId).select('+collaborators').exec(), User.findAccountByEmail(req.params['email'])])
+    .then(function (results) {
+      let box = results[0],
+        user = results[1];
+      if (!box) {
+        return next(new restify.NotFoundError('senseBox not found'));
+      }
+      if (!user) {
+        return next(new restify.NotFoundError('No account found with this email'));
+      }
+      if (user.boxes.includes(req.boxId)) {
+        return next(new restify.InvalidArgumentError('The user already owns the senseBox'));
+      }
+
+      box.setCollaborator(user._id, role);
+      return box.save()
+        .then(function () {
+          return describeCollaborators(box);
+        })
+        .then(function (boxCollaborators) {
+          res.send(201, boxCollaborators);
+          mails.sendCollaboratorInvitationMail(user, box, role);
+        });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {delete} /boxes/:senseBoxId/collaborators/:userId Remove a collaborator from a senseBox
+ * @apiDescription Remove a collaborator from the senseBox. Afterwards, the user cannot manage the senseBox anymore.
+ * @apiName deleteCollaborator
+ * @apiGroup Boxes
+ * @apiVersion 0.1.0
+ * @apiUse AuthorizationRequiredError
+ * @apiPermission owner
+ * @apiUse BoxIdParam
+ * @apiParam {String} :userId the ID of the user
+ */
+function deleteCollaborator (req, res, next) {
+  Box.findById(req.boxId)
+    .select('+collaborators')
+    .then(function (box) {
+      if (!box) {
+        return next(new restify.NotFoundError('senseBox not found'));
+      }
+      if (!box.roleOf(req.params.userId)) {
+        return next(new restify.NotFoundError('collaborator not found'));
+      }
+
+      box.collaborators = box.collaborators.filter(c => c.user !== req.params.userId);
+      return box.save()
+        .then(function () {
+          res.send(200, 'Collaborator removed');
+        });
+    })
+    .catch(function (err) {
+      console.log(err);
+      Honeybadger.notify(err);
+      return next(new restify.InternalServerError(err.message));
+    });
+}
+
+/**
+ * @api {get} /phenomena Get the known phenomena
+ * @apiDescription Get the registry of phenomena with their canonical `id`, translated `labels`, default `unit`, `icon` and the `aliases` which are accepted for `phenomenon` parameters.
+ * @apiName getPhenomena
+ * @apiGroup Misc
+ * @apiVersion 0.1.0
+ * @apiSuccessExample {json}
+ * [{"id":"temperature","labels":{"de":"Temperatur","en":"Temperature"},"unit":"°C","icon":"osem-thermometer","aliases":["Temperatur","Temperature"]}]
+ */
+function getPhenomena (req, res) {
+  res.send(200, phenomena.PHENOMENA);
+}
+
 /**
  * @api {get} /stats Get some statistics about the database
  * @apiDescription 8 boxes, 13 measurements in the database, 2 measurements in the last minute
@@ -1305,6 +3381,7 @@ utils.connectWithRetry(function () {
     console.log('%s listening at %s', server.name, server.url);
     _postToSlack('openSenseMap API started. Server file modified: ' + mtime);
     Box.connectMQTTBoxes();
+    exportJobs.startWorker();
   });
 });
 
@@ -6,6 +6,7 @@
 var config = {
   targetFolder: '/var/OpenSenseMap-API/usersketches/',
   imageFolder: '/var/www/OpenSenseMap/app/userimages/',
+  exportFolder: '/var/OpenSenseMap-API/exports/',
   dbhost: 'db',
   dbuser: '',
   dbuserpass: '',
@@ -21,7 +22,12 @@ var config = {
   slack_url: '',
   measurements_post_domain: '',
 
-  honeybadger_apikey: ''
+  honeybadger_apikey: '',
+
+  // secret for signing the tokens of user sessions. If empty, a random secret
+  // is generated on startup and sessions end with a restart
+  jwt_secret: '',
+  jwt_expiry: 86400 // seconds
 };
 
 var env_has_dbconnectionstring = false;
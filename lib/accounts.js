@@ -0,0 +1,152 @@
+'use strict';
+
+// user accounts: passwords and the session tokens issued at sign in.
+// Signed in users send their token as `Authorization: Bearer <token>`
+
+let crypto = require('crypto'),
+  restify = require('restify'),
+  cfg = require('../config'),
+  jwt = require('jsonwebtoken'),
+  User = require('./models/user').model;
+
+const MIN_PASSWORD_LENGTH = 8;
+const PBKDF2_ITERATIONS = 10000;
+const PBKDF2_KEYLENGTH = 64;
+const PBKDF2_DIGEST = 'sha512';
+
+// the longest grace period for a previous apikey after a rotation
+const MAX_GRACE_PERIOD_HOURS = 720;
+
+let jwtSecret = cfg.jwt_secret;
+if (!jwtSecret || jwtSecret.trim() === '') {
+  console.log('no jwt_secret configured, user sessions end with a restart');
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+}
+let jwtExpiry = Number(cfg.jwt_expiry) || 86400;
+
+let pbkdf2 = function (password, salt, iterations) {
+  return new Promise(function (resolve, reject) {
+    crypto.pbkdf2(password, salt, iterations, PBKDF2_KEYLENGTH, PBKDF2_DIGEST, function (err, key) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(key.toString('hex'));
+    });
+  });
+};
+
+// resolves with the hash of the password, which contains
+// the iterations and the salt used
+let hashPassword = function (password) {
+  let salt = crypto.randomBytes(16).toString('hex');
+  return pbkdf2(password, salt, PBKDF2_ITERATIONS)
+    .then(function (hash) {
+      return ['pbkdf2', PBKDF2_ITERATIONS, salt, hash].join('$');
+    });
+};
+
+// resolves with true if the password matches the stored hash
+let verifyPassword = function (password, stored) {
+  let parts = String(stored).split('$');
+  if (parts.length !== 4 || parts[0] !== 'pbkdf2') {
+    return Promise.resolve(false);
+  }
+  return pbkdf2(String(password), parts[2], Number(parts[1]))
+    .then(function (hash) {
+      hash = Buffer.from(hash);
+      let expected = Buffer.from(parts[3]);
+      return hash.length === expected.length && crypto.timingSafeEqual(hash, expected);
+    });
+};
+
+// returns an error if the password is too weak
+let validatePassword = function (password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return new restify.UnprocessableEntityError('password must be at least ' + MIN_PASSWORD_LENGTH + ' characters long');
+  }
+};
+
+// a new random apikey for the boxes of an account
+let generateApiKey = function () {
+  return crypto.randomBytes(12).toString('hex');
+};
+
+// parses the grace period of the previous apikey in hours, defaults to none
+// returns the grace period in milliseconds or an error
+let parseGracePeriod = function (gracePeriodParam) {
+  if (typeof gracePeriodParam === 'undefined' || gracePeriodParam.toString().trim() === '') {
+    return 0;
+  }
+  let hours = Number(gracePeriodParam);
+  if (isNaN(hours) || hours < 0 || hours > MAX_GRACE_PERIOD_HOURS) {
+    return new restify.InvalidArgumentError('Invalid parameter gracePeriod. Expected a number of hours between 0 and ' + MAX_GRACE_PERIOD_HOURS);
+  }
+  return hours * 60 * 60 * 1000;
+};
+
+let issueToken = function (user) {
+  return jwt.sign({ sub: user._id.toString() }, jwtSecret, { algorithm: 'HS256', expiresIn: jwtExpiry });
+};
+
+// returns the token of the Authorization header or undefined
+let bearerTokenOf = function (req) {
+  let header = req.headers['authorization'];
+  if (typeof header !== 'string') {
+    return;
+  }
+  let match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) {
+    return match[1];
+  }
+};
+
+// resolves with the signed in user, undefined if the request has no
+// token or an error if the token is invalid or the user does not exist
+let findUserForRequest = function (req) {
+  let token = bearerTokenOf(req);
+  if (!token) {
+    return Promise.resolve();
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, jwtSecret, { algorithms: ['HS256'] });
+  } catch (err) {
+    return Promise.resolve(new restify.NotAuthorizedError('Session is invalid or expired'));
+  }
+
+  return User.findById(payload.sub).exec()
+    .then(function (user) {
+      if (!user) {
+        return new restify.NotAuthorizedError('Session is invalid or expired');
+      }
+      return user;
+    });
+};
+
+// the properties of an account which are sent out
+let describeUser = function (user) {
+  return {
+    _id: user._id,
+    firstname: user.firstname,
+    lastname: user.lastname,
+    email: user.email,
+    language: user.language,
+    apikey: user.apikey,
+    boxes: user.boxes
+  };
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH: MIN_PASSWORD_LENGTH,
+  MAX_GRACE_PERIOD_HOURS: MAX_GRACE_PERIOD_HOURS,
+  hashPassword: hashPassword,
+  verifyPassword: verifyPassword,
+  validatePassword: validatePassword,
+  generateApiKey: generateApiKey,
+  parseGracePeriod: parseGracePeriod,
+  issueToken: issueToken,
+  bearerTokenOf: bearerTokenOf,
+  findUserForRequest: findUserForRequest,
+  describeUser: describeUser
+};
@@ -0,0 +1,123 @@
+'use strict';
+
+let Stream = require('stream'),
+  restify = require('restify'),
+  numericValueOf = require('./utils').numericValueOf;
+
+const INTERVAL_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+// the reducers receive the numeric values of one bucket
+const AGGREGATIONS = {
+  avg: function (values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+  },
+  min: function (values) {
+    return values.reduce((min, v) => Math.min(min, v), Infinity);
+  },
+  max: function (values) {
+    return values.reduce((max, v) => Math.max(max, v), -Infinity);
+  },
+  sum: function (values) {
+    return values.reduce((sum, v) => sum + v, 0);
+  },
+  count: function (values) {
+    return values.length;
+  },
+  median: function (values) {
+    let sorted = values.slice().sort((a, b) => a - b),
+      middle = Math.floor(sorted.length / 2);
+    if (sorted.length % 2 === 0) {
+      return (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    return sorted[middle];
+  }
+};
+
+// parses intervals like 10m, 1h or 1d and returns the length in milliseconds
+let parseInterval = function (intervalParam) {
+  let match = /^(\d+)([mhd])$/.exec(intervalParam.toString().trim());
+  if (!match || Number(match[1]) === 0) {
+    return new restify.InvalidArgumentError('Invalid parameter interval. Expected a number followed by m, h or d (e.g. 10m, 1h, 1d)');
+  }
+  return Number(match[1]) * INTERVAL_UNITS[match[2]];
+};
+
+// parses the parameters aggregate and interval of a request
+// returns undefined if no aggregation was requested, an error for invalid
+// parameters or an object with the reducer and the interval in milliseconds
+let parseAggregationParameters = function (req) {
+  let aggregate = req.params['aggregate'],
+    interval = req.params['interval'];
+
+  let aggregateGiven = typeof aggregate !== 'undefined' && aggregate.toString().trim() !== '',
+    intervalGiven = typeof interval !== 'undefined' && interval.toString().trim() !== '';
+
+  if (!aggregateGiven && !intervalGiven) {
+    return;
+  }
+
+  aggregate = aggregateGiven ? aggregate.toString().trim().toLowerCase() : 'avg';
+  if (!AGGREGATIONS[aggregate]) {
+    return new restify.InvalidArgumentError('Invalid parameter aggregate. Allowed values are ' + Object.keys(AGGREGATIONS).join(', '));
+  }
+
+  if (!intervalGiven) {
+    return new restify.InvalidArgumentError('Parameter interval is required when using aggregate');
+  }
+  let intervalMs = parseInterval(interval);
+  if (intervalMs instanceof Error) {
+    return intervalMs;
+  }
+
+  return {
+    aggregate: aggregate,
+    reducer: AGGREGATIONS[aggregate],
+    interval: intervalMs
+  };
+};
+
+// returns a transform stream which expects measurements ordered ascending
+// by createdAt and emits one { createdAt, value } object per interval
+// containing at least one numeric value. createdAt is the start of the interval.
+// Non-numeric values are skipped
+let createAggregationStream = function (reducer, interval) {
+  let bucketStart, values = [];
+
+  let pushBucket = function (stream) {
+    if (values.length !== 0) {
+      stream.push({ createdAt: new Date(bucketStart), value: reducer(values) });
+    }
+    values = [];
+  };
+
+  return new Stream.Transform({
+    objectMode: true,
+    transform: function (measurement, encoding, callback) {
+      let value = numericValueOf(measurement);
+      if (typeof value !== 'undefined') {
+        let start = Math.floor(new Date(measurement.createdAt).getTime() / interval) * interval;
+        if (start !== bucketStart) {
+          pushBucket(this);
+          bucketStart = start;
+        }
+        values.push(value);
+      }
+      callback();
+    },
+    flush: function (callback) {
+      pushBucket(this);
+      callback();
+    }
+  });
+};
+
+module.exports = {
+  AGGREGATIONS: AGGREGATIONS,
+  parseInterval: parseInterval,
+  parseAggregationParameters: parseAggregationParameters,
+  createAggregationStream: createAggregationStream
+};
@@ -0,0 +1,164 @@
+'use strict';
+
+// groups the values of boxes into square or hexagonal cells for map rendering.
+// Cells are laid out in degrees (longitude and latitude)
+
+let restify = require('restify');
+
+const SHAPES = ['hex', 'square'];
+
+// the cell size if neither cellSize nor zoom is given
+const DEFAULT_CELL_SIZE = 1;
+
+// the number of cells along the width of a 256 pixel map tile for a zoom level
+const CELLS_PER_TILE = 4;
+const MAX_ZOOM = 20;
+
+let paramGiven = function (param) {
+  return typeof param !== 'undefined' && param !== null && param.toString().trim() !== '';
+};
+
+// parses the parameter shape, defaults to hex
+let parseShape = function (params) {
+  if (!paramGiven(params['shape'])) {
+    return 'hex';
+  }
+  let shape = params['shape'].toString().trim().toLowerCase();
+  if (!SHAPES.includes(shape)) {
+    return new restify.InvalidArgumentError('Invalid parameter shape. Allowed values are ' + SHAPES.join(', '));
+  }
+  return shape;
+};
+
+// parses the parameters cellSize in degrees or zoom, the zoom level of a web
+// map. For zoom levels, cells are about a quarter of the width of a map tile
+// returns the width of the cells in degrees or an error
+let parseCellSize = function (params) {
+  if (paramGiven(params['cellSize'])) {
+    let cellSize = Number(params['cellSize']);
+    if (isNaN(cellSize) || cellSize <= 0 || cellSize > 180) {
+      return new restify.InvalidArgumentError('Invalid parameter cellSize. Expected a number of degrees greater than 0 and up to 180');
+    }
+    return cellSize;
+  }
+
+  if (paramGiven(params['zoom'])) {
+    let zoom = Number(params['zoom']);
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+      return new restify.InvalidArgumentError('Invalid parameter zoom. Expected an integer between 0 and ' + MAX_ZOOM);
+    }
+    return 360 / Math.pow(2, zoom) / CELLS_PER_TILE;
+  }
+
+  return DEFAULT_CELL_SIZE;
+};
+
+let squareCell = function (lng, lat, cellSize) {
+  let column = Math.floor(lng / cellSize),
+    row = Math.floor(lat / cellSize),
+    west = column * cellSize,
+    south = row * cellSize,
+    east = west + cellSize,
+    north = south + cellSize;
+
+  return {
+    key: column + ',' + row,
+    center: [west + cellSize / 2, south + cellSize / 2],
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+  };
+};
+
+// pointy topped hexagons with a width of cellSize, every other row is offset
+// by half a cell. A point belongs to the nearest hexagon center, which lies
+// in one of the two rows around the point
+let hexCell = function (lng, lat, cellSize) {
+  let radius = cellSize / Math.sqrt(3),
+    dx = cellSize,
+    dy = radius * 1.5,
+    pi, pj, nearest = Infinity;
+
+  for (let j = Math.floor(lat / dy); j <= Math.floor(lat / dy) + 1; j++) {
+    let i = Math.round(lng / dx - (j & 1) / 2),
+      distance = Math.pow(lng - (i + (j & 1) / 2) * dx, 2) + Math.pow(lat - j * dy, 2);
+    if (distance < nearest) {
+      nearest = distance;
+      pi = i;
+      pj = j;
+    }
+  }
+
+  let center = [(pi + (pj & 1) / 2) * dx, pj * dy],
+    ring = [];
+  for (let i = 0; i <= 6; i++) {
+    let angle = (i % 6) * Math.PI / 3;
+    ring.push([center[0] + Math.sin(angle) * radius, center[1] - Math.cos(angle) * radius]);
+  }
+
+  return {
+    key: pi + ',' + pj,
+    center: center,
+    coordinates: [ring]
+  };
+};
+
+// groups the points ({lng, lat, value}) into cells of the shape and returns
+// one cell per non-empty cell with its center, the polygon coordinates and
+// count, mean, min and max of the values of its points
+let binPoints = function (points, shape, cellSize) {
+  let cellOf = shape === 'square' ? squareCell : hexCell,
+    cells = {};
+
+  for (let point of points) {
+    let cell = cellOf(point.lng, point.lat, cellSize);
+    if (!cells[cell.key]) {
+      cells[cell.key] = {
+        center: cell.center,
+        coordinates: cell.coordinates,
+        count: 0,
+        sum: 0,
+        min: point.value,
+        max: point.value
+      };
+    }
+    cell = cells[cell.key];
+    cell.count++;
+    cell.sum += point.value;
+    cell.min = Math.min(cell.min, point.value);
+    cell.max = Math.max(cell.max, point.value);
+  }
+
+  return Object.keys(cells).map(function (key) {
+    let cell = cells[key];
+    return {
+      lng: cell.center[0],
+      lat: cell.center[1],
+      coordinates: cell.coordinates,
+      count: cell.count,
+      mean: cell.sum / cell.count,
+      min: cell.min,
+      max: cell.max
+    };
+  });
+};
+
+// returns a GeoJSON FeatureCollection with one polygon per cell
+let toFeatureCollection = function (cells) {
+  return {
+    type: 'FeatureCollection',
+    features: cells.map(function (cell) {
+      return {
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: cell.coordinates },
+        properties: { count: cell.count, mean: cell.mean, min: cell.min, max: cell.max }
+      };
+    })
+  };
+};
+
+module.exports = {
+  SHAPES: SHAPES,
+  parseShape: parseShape,
+  parseCellSize: parseCellSize,
+  binPoints: binPoints,
+  toFeatureCollection: toFeatureCollection
+};
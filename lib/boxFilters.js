@@ -0,0 +1,212 @@
+'use strict';
+
+let restify = require('restify');
+
+// equatorial earth radius in meters, as used by MongoDB for spherical
+// distances. Converts distances to radians for $centerSphere queries
+const EARTH_RADIUS = 6378100;
+
+let isValidLngLat = function (lng, lat) {
+  return isFinite(lng) && isFinite(lat) &&
+    lng >= -180 && lng <= 180 &&
+    lat >= -90 && lat <= 90;
+};
+
+// parses a comma separated list of numbers
+// returns undefined if any of the parts is not a number
+let parseNumberList = function (str) {
+  let parts = str.toString().split(',').map(p => p.trim());
+  if (parts.some(p => p === '' || isNaN(Number(p)))) {
+    return;
+  }
+  return parts.map(Number);
+};
+
+// parses the parameter bbox=minLng,minLat,maxLng,maxLat
+// and returns a GeoJSON Polygon geometry
+let parseBbox = function (bboxParam) {
+  let coords = parseNumberList(bboxParam);
+  if (!coords || coords.length !== 4) {
+    return new restify.InvalidArgumentError('Invalid parameter bbox. Expected minLng,minLat,maxLng,maxLat');
+  }
+  let minLng = coords[0], minLat = coords[1], maxLng = coords[2], maxLat = coords[3];
+  if (!isValidLngLat(minLng, minLat) || !isValidLngLat(maxLng, maxLat) || minLng >= maxLng || minLat >= maxLat) {
+    return new restify.InvalidArgumentError('Invalid parameter bbox. Expected minLng,minLat,maxLng,maxLat');
+  }
+
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+      [minLng, minLat]
+    ]]
+  };
+};
+
+// validates a linear ring of a GeoJSON polygon
+let isValidRing = function (ring) {
+  if (!Array.isArray(ring) || ring.length < 4) {
+    return false;
+  }
+  let first = ring[0], last = ring[ring.length - 1];
+  if (ring.some(p => !Array.isArray(p) || p.length < 2 || !isValidLngLat(p[0], p[1]))) {
+    return false;
+  }
+  return first[0] === last[0] && first[1] === last[1];
+};
+
+// accepts a GeoJSON Polygon or MultiPolygon geometry, or a Feature
+// containing one. Strings are parsed as JSON.
+// returns the geometry
+let parsePolygon = function (polygonParam) {
+  let polygon = polygonParam;
+  if (typeof polygon === 'string') {
+    try {
+      polygon = JSON.parse(polygon);
+    } catch (err) {
+      return new restify.InvalidArgumentError('Invalid parameter polygon. Expected a GeoJSON Polygon');
+    }
+  }
+
+  if (polygon && polygon.type && polygon.type.toLowerCase() === 'feature') {
+    polygon = polygon.geometry;
+  }
+
+  if (polygon && polygon.type === 'Polygon' && Array.isArray(polygon.coordinates) &&
+    polygon.coordinates.length > 0 && polygon.coordinates.every(isValidRing)) {
+    return { type: 'Polygon', coordinates: polygon.coordinates };
+  }
+
+  if (polygon && polygon.type === 'MultiPolygon' && Array.isArray(polygon.coordinates) &&
+    polygon.coordinates.length > 0 &&
+    polygon.coordinates.every(p => Array.isArray(p) && p.length > 0 && p.every(isValidRing))) {
+    return { type: 'MultiPolygon', coordinates: polygon.coordinates };
+  }
+
+  return new restify.InvalidArgumentError('Invalid parameter polygon. Expected a GeoJSON Polygon');
+};
+
+// parses the parameters near=lng,lat and maxDistance (meters)
+// and returns the $centerSphere definition
+let parseNear = function (nearParam, maxDistanceParam) {
+  let coords = parseNumberList(nearParam);
+  if (!coords || coords.length !== 2 || !isValidLngLat(coords[0], coords[1])) {
+    return new restify.InvalidArgumentError('Invalid parameter near. Expected lng,lat');
+  }
+
+  if (typeof maxDistanceParam === 'undefined' || maxDistanceParam.toString().trim() === '') {
+    return new restify.InvalidArgumentError('Parameter maxDistance is required when using near');
+  }
+  let maxDistance = Number(maxDistanceParam);
+  if (isNaN(maxDistance) || maxDistance <= 0) {
+    return new restify.InvalidArgumentError('Invalid parameter maxDistance. Expected distance in meters');
+  }
+
+  return [coords, maxDistance / EARTH_RADIUS];
+};
+
+let paramGiven = function (param) {
+  return typeof param !== 'undefined' && param !== null && param.toString().trim() !== '';
+};
+
+// builds the query conditions for the spatial filters bbox, near & maxDistance
+// and polygon on the box locations.
+// returns an (possibly empty) object or an error
+let spatialQuery = function (params) {
+  let conditions = [];
+
+  if (paramGiven(params['bbox'])) {
+    let bbox = parseBbox(params['bbox']);
+    if (bbox instanceof Error) {
+      return bbox;
+    }
+    conditions.push({ 'loc.geometry': { '$geoWithin': { '$geometry': bbox } } });
+  }
+
+  if (paramGiven(params['near'])) {
+    let centerSphere = parseNear(params['near'], params['maxDistance']);
+    if (centerSphere instanceof Error) {
+      return centerSphere;
+    }
+    conditions.push({ 'loc.geometry': { '$geoWithin': { '$centerSphere': centerSphere } } });
+  }
+
+  if (typeof params['polygon'] !== 'undefined' && params['polygon'] !== null && params['polygon'] !== '') {
+    let polygon = parsePolygon(params['polygon']);
+    if (polygon instanceof Error) {
+      return polygon;
+    }
+    conditions.push({ 'loc.geometry': { '$geoWithin': { '$geometry': polygon } } });
+  }
+
+  if (conditions.length === 0) {
+    return {};
+  } else if (conditions.length === 1) {
+    return conditions[0];
+  }
+  return { '$and': conditions };
+};
+
+// maps query parameters to the box attributes they filter
+const ATTRIBUTE_FILTERS = {
+  grouptag: 'grouptag',
+  exposure: 'exposure',
+  model: 'model',
+  boxType: 'boxType',
+  sensorType: 'sensors.sensorType'
+};
+
+// builds the query conditions for the attribute filters in ATTRIBUTE_FILTERS
+// and the full text search q over name and description.
+// Attribute parameters may contain a comma separated list of values
+let attributeQuery = function (params) {
+  let qry = {};
+
+  for (let param of Object.keys(ATTRIBUTE_FILTERS)) {
+    if (paramGiven(params[param])) {
+      let values = params[param].toString().split(',')
+        .map(v => v.trim())
+        .filter(v => v !== '');
+      qry[ATTRIBUTE_FILTERS[param]] = (values.length === 1) ? values[0] : { '$in': values };
+    }
+  }
+
+  if (paramGiven(params['q'])) {
+    let search = params['q'].toString().trim();
+    if (search.length > 200) {
+      return new restify.InvalidArgumentError('Parameter q is too long. Please use at most 200 characters');
+    }
+    qry['$text'] = { '$search': search };
+  }
+
+  return qry;
+};
+
+// combines all filters of findAllBoxes into one query object
+// returns an error if one of the parameters is invalid
+let boxQuery = function (params) {
+  let attributeQry = attributeQuery(params);
+  if (attributeQry instanceof Error) {
+    return attributeQry;
+  }
+
+  let spatialQry = spatialQuery(params);
+  if (spatialQry instanceof Error) {
+    return spatialQry;
+  }
+
+  return Object.assign(attributeQry, spatialQry);
+};
+
+module.exports = {
+  EARTH_RADIUS: EARTH_RADIUS,
+  parseBbox: parseBbox,
+  parsePolygon: parsePolygon,
+  parseNear: parseNear,
+  spatialQuery: spatialQuery,
+  attributeQuery: attributeQuery,
+  boxQuery: boxQuery
+};
@@ -0,0 +1,145 @@
+'use strict';
+
+// clusters the locations of boxes for a zoom level of a web map. Boxes closer
+// to each other than CLUSTER_RADIUS pixels at the zoom level are grouped greedily
+
+let restify = require('restify');
+
+// the distance in pixels within which boxes are clustered
+const CLUSTER_RADIUS = 60;
+const TILE_SIZE = 256;
+const MAX_ZOOM = 20;
+
+// the latitudes covered by web mercator maps
+const MAX_LATITUDE = 85.05112878;
+
+// parses the parameters cluster and zoom
+// returns undefined if cluster is not true, the zoom level or an error
+let parseClusterParameters = function (params) {
+  if (typeof params['cluster'] === 'undefined' || params['cluster'].toString().trim() !== 'true') {
+    return;
+  }
+
+  let zoom = params['zoom'];
+  if (typeof zoom === 'undefined' || zoom.toString().trim() === '') {
+    return new restify.InvalidArgumentError('Parameter zoom is required when using cluster');
+  }
+  zoom = Number(zoom);
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+    return new restify.InvalidArgumentError('Invalid parameter zoom. Expected an integer between 0 and ' + MAX_ZOOM);
+  }
+  return zoom;
+};
+
+// projects the location to web mercator pixels at the zoom level
+let project = function (lng, lat, zoom) {
+  let size = TILE_SIZE * Math.pow(2, zoom),
+    sin = Math.sin(Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI / 180);
+  return [
+    (lng + 180) / 360 * size,
+    (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+  ];
+};
+
+// the key of the index cell containing the pixel
+let cellKey = function (column, row) {
+  return column + ',' + row;
+};
+
+// returns a GeoJSON Point feature for the cluster. It is located at the
+// member closest to the center of the cluster. bbox contains all members
+let toClusterFeature = function (members) {
+  let x = 0, y = 0;
+  for (let member of members) {
+    x += member.pixel[0];
+    y += member.pixel[1];
+  }
+  x /= members.length;
+  y /= members.length;
+
+  let representative = members[0],
+    nearest = Infinity,
+    bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (let member of members) {
+    let distance = Math.pow(member.pixel[0] - x, 2) + Math.pow(member.pixel[1] - y, 2);
+    if (distance < nearest) {
+      nearest = distance;
+      representative = member;
+    }
+    bbox = [
+      Math.min(bbox[0], member.lng),
+      Math.min(bbox[1], member.lat),
+      Math.max(bbox[2], member.lng),
+      Math.max(bbox[3], member.lat)
+    ];
+  }
+
+  return {
+    type: 'Feature',
+    bbox: bbox,
+    geometry: { type: 'Point', coordinates: [representative.lng, representative.lat] },
+    properties: { cluster: true, point_count: members.length }
+  };
+};
+
+// clusters the boxes by the coordinates in loc[0].geometry. Returns the
+// cluster features and the ids of the boxes which are not clustered
+let clusterBoxes = function (boxes, zoom) {
+  let points = boxes.map(function (box) {
+    let coordinates = box.loc[0].geometry.coordinates;
+    return {
+      id: box._id,
+      lng: coordinates[0],
+      lat: coordinates[1],
+      pixel: project(coordinates[0], coordinates[1], zoom)
+    };
+  });
+
+  // index the points in cells of the size of the radius, so that
+  // neighbors can only be in the 3x3 cells around a point
+  let index = {};
+  for (let point of points) {
+    point.column = Math.floor(point.pixel[0] / CLUSTER_RADIUS);
+    point.row = Math.floor(point.pixel[1] / CLUSTER_RADIUS);
+    let key = cellKey(point.column, point.row);
+    if (!index[key]) {
+      index[key] = [];
+    }
+    index[key].push(point);
+  }
+
+  let clusters = [],
+    unclustered = [];
+  for (let point of points) {
+    if (point.clustered) {
+      continue;
+    }
+    point.clustered = true;
+
+    let members = [point];
+    for (let column = point.column - 1; column <= point.column + 1; column++) {
+      for (let row = point.row - 1; row <= point.row + 1; row++) {
+        for (let neighbor of index[cellKey(column, row)] || []) {
+          if (!neighbor.clustered &&
+            Math.pow(neighbor.pixel[0] - point.pixel[0], 2) + Math.pow(neighbor.pixel[1] - point.pixel[1], 2) <= CLUSTER_RADIUS * CLUSTER_RADIUS) {
+            neighbor.clustered = true;
+            members.push(neighbor);
+          }
+        }
+      }
+    }
+
+    if (members.length > 1) {
+      clusters.push(toClusterFeature(members));
+    } else {
+      unclustered.push(point.id);
+    }
+  }
+
+  return { clusters: clusters, unclustered: unclustered };
+};
+
+module.exports = {
+  parseClusterParameters: parseClusterParameters,
+  clusterBoxes: clusterBoxes
+};
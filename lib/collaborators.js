@@ -0,0 +1,46 @@
+'use strict';
+
+// roles of the users who may manage a box. Every role includes the
+// permissions of the roles before it. Users with the apikey of the box or
+// the box in their account are owners, collaborators have the role they were
+// invited with
+
+let restify = require('restify');
+
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// parses the parameter role
+// returns the role or an error
+let parseRole = function (roleParam) {
+  if (typeof roleParam === 'undefined' || roleParam.toString().trim() === '') {
+    return new restify.UnprocessableEntityError('missing parameter role');
+  }
+  let role = roleParam.toString().trim().toLowerCase();
+  if (!ROLES.includes(role)) {
+    return new restify.InvalidArgumentError('Invalid parameter role. Allowed values are ' + ROLES.join(', '));
+  }
+  return role;
+};
+
+// checks if the role includes the permissions of the required role
+let hasRole = function (role, requiredRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+};
+
+// returns a handler for secured routes, which rejects requests without
+// the required role for the box. The role is set by the authentication
+let requireRole = function (requiredRole) {
+  return function (req, res, next) {
+    if (hasRole(req.box_role, requiredRole)) {
+      return next();
+    }
+    next(new restify.NotAuthorizedError('This requires the role ' + requiredRole + ' for the senseBox'));
+  };
+};
+
+module.exports = {
+  ROLES: ROLES,
+  parseRole: parseRole,
+  hasRole: hasRole,
+  requireRole: requireRole
+};
@@ -27,10 +27,14 @@ module.exports = {
 
         if (line.length !== 0) {
           console.log(line);
-          if (line.length === 2 || line.length === 3) {
+          // sensorId,value[,createdAt[,lng,lat[,height]]]
+          if (line.length >= 2 && line.length <= 6 && line.length !== 4) {
             let measurement = { sensor_id: line.shift() };
             measurement.value = line.shift();
-            measurement.createdAt = line.shift();
+            measurement.createdAt = line.shift() || undefined;
+            if (line.length !== 0) {
+              measurement.location = line;
+            }
             measurementsArray.push(measurement);
           } else {
             throw new Error('illegal line \'' + line.join(',') + '\'');
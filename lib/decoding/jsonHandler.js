@@ -8,7 +8,8 @@ let jsonPath = require('jsonpath'),
  * {
  *   "sensorID": "value",
  *   "anotherSensorID": ["value", "createdAt as ISO8601-timestamp"],
- *   "sensorIDtheThird": ["value"]
+ *   "sensorIDtheThird": ["value"],
+ *   "sensorIDofAMobileBox": ["value", "createdAt as ISO8601-timestamp", [lng, lat, height]]
  *   ...
  *
  * }
@@ -16,13 +17,14 @@ let jsonPath = require('jsonpath'),
  * or an Array like
  * [
  *   {"sensor":"sensorID", "value":"value"},
- *   {"sensor":"anotherSensorId", "value":"value", "createdAt": "ISO8601-timestamp"}
+ *   {"sensor":"anotherSensorId", "value":"value", "createdAt": "ISO8601-timestamp"},
+ *   {"sensor":"sensorIdOfAMobileBox", "value":"value", "location": {"lat": lat, "lng": lng, "height": height}}
  *   ...
  * ]
  *
  * and transforms it into the form
  * [
- *   {"sensor_id": "sensorID", "value":"value", "createdAt": JavaScript Date Object },
+ *   {"sensor_id": "sensorID", "value":"value", "createdAt": JavaScript Date Object, "location": GeoJSON Point },
  *   ...
  * ]
  *
@@ -49,6 +51,10 @@ let handleJSONObjectMultipleValues = function (obj) {
       } else if (value.length === 2) { // [value,createdAt]
         measurement.createdAt = value[1];
         value = value[0];
+      } else if (value.length === 3) { // [value,createdAt,location]
+        measurement.createdAt = value[1];
+        measurement.location = value[2];
+        value = value[0];
       } else {
         throw new Error('Array for sensorID \'' + sensorId + '\' has an illegal length');
       }
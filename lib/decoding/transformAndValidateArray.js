@@ -3,7 +3,9 @@
 let utils = require('../utils'),
   parseTimestamp = utils.parseTimestamp,
   sanitizeString = utils.sanitizeString,
+  parseNumericValue = utils.parseNumericValue,
   timeIsValid = utils.timeIsValid,
+  parseLocation = utils.parseLocation,
   mongoose = require('mongoose');
 
 let transformAndValidateArray = function (arr) {
@@ -27,6 +29,8 @@ let transformAndValidateArray = function (arr) {
     if (typeof elem.value === 'undefined' || elem.value.toString().trim() === '') {
       throw new Error('missing value for measurement ' + JSON.stringify(elem));
     }
+    // parse the numeric value before sanitizing removes signs, exponents or decimal commas
+    elem.numericValue = parseNumericValue(elem.value);
     elem.value = sanitizeString(elem.value.toString());
 
     // timestamp
@@ -41,6 +45,17 @@ let transformAndValidateArray = function (arr) {
       }
     }
 
+    // location
+    if (typeof elem.location !== 'undefined' && elem.location !== null && elem.location !== '') {
+      let location = (typeof elem.location === 'object') ? parseLocation(elem.location) : undefined;
+      if (!location) {
+        throw new Error('invalid location for measurement ' + JSON.stringify(elem) + '. Expected {"lat", "lng", "height"} or [lng, lat, height]');
+      }
+      elem.location = location;
+    } else {
+      elem.location = undefined;
+    }
+
     // finally attach a mongodb objectId
     elem._id = mongoose.Types.ObjectId();
 
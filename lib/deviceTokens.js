@@ -0,0 +1,48 @@
+'use strict';
+
+// device tokens authenticate uploads of measurements to boxes which require
+// authentication. They are separate from the apikey of the owner, so a leaked
+// token of a device can be revoked. Only the sha256 hash of a token is stored
+
+let crypto = require('crypto');
+
+// devices send their token in this header or, if they cannot set
+// headers, in the query parameter token
+const TOKEN_HEADER = 'x-device-token';
+const TOKEN_PARAM = 'token';
+
+let generateToken = function () {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+let hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// returns the device token of the request or undefined
+let tokenOfRequest = function (req) {
+  return req.headers[TOKEN_HEADER] || (req.query && req.query[TOKEN_PARAM]) || undefined;
+};
+
+// mqtt messages carry no headers, so the device token is the first line of
+// messages for boxes which require authentication. Returns the token and
+// the remaining message
+let splitMessage = function (message) {
+  let newline = message.indexOf('\n');
+  if (newline === -1) {
+    return { token: undefined, message: message };
+  }
+  return {
+    token: message.substring(0, newline).trim(),
+    message: message.substring(newline + 1)
+  };
+};
+
+module.exports = {
+  TOKEN_HEADER: TOKEN_HEADER,
+  TOKEN_PARAM: TOKEN_PARAM,
+  generateToken: generateToken,
+  hashToken: hashToken,
+  tokenOfRequest: tokenOfRequest,
+  splitMessage: splitMessage
+};
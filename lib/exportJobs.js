@@ -0,0 +1,217 @@
+'use strict';
+
+// background worker for export jobs. Jobs are stored in the database
+// and processed one after another. The result is written into a file
+// in cfg.exportFolder which can be downloaded until the job expires.
+
+let fs = require('fs'),
+  path = require('path'),
+  csvtransform = require('stream-transform'),
+  utils = require('./utils'),
+  measurementColumns = require('./measurementColumns'),
+  qualityFlags = require('./qualityFlags'),
+  Box = require('./models/box').model,
+  Measurement = require('./models/measurement').model,
+  ExportJob = require('./models/exportJob').model,
+  QualityFlag = require('./models/qualityFlag').model;
+
+let cfg = utils.config,
+  Honeybadger = utils.Honeybadger;
+
+const POLL_INTERVAL_SECONDS = 10;
+const RETENTION_DAYS = 7;
+
+const DEFAULT_COLUMNS = ['createdAt', 'value', 'unit', 'phenomenon', 'sensorId', 'boxId', 'lat', 'lng'];
+
+let exportFilePath = function (job) {
+  return path.join(cfg.exportFolder, job._id + '.' + job.format);
+};
+
+let renameFile = function (from, to) {
+  return new Promise(function (resolve, reject) {
+    fs.rename(from, to, function (err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+};
+
+let removeFile = function (file) {
+  return new Promise(function (resolve) {
+    fs.unlink(file, function (err) {
+      if (err && err.code !== 'ENOENT') {
+        Honeybadger.notify(err);
+      }
+      resolve();
+    });
+  });
+};
+
+// streams the measurements of the job into a temporary file
+// resolves with the number of exported measurements
+let writeExport = function (job, sensors, flags, file) {
+  let columns = job.columns.length !== 0 ? job.columns : DEFAULT_COLUMNS,
+    quality = job.quality.length !== 0 ? job.quality : qualityFlags.QUALITIES,
+    count = 0;
+
+  return new Promise(function (resolve, reject) {
+    let transformer = csvtransform(function (data) {
+      count = count + 1;
+      return measurementColumns.formatMeasurement(data, sensors, columns, job.format);
+    }, { parallel: 1 });
+    let stringifier = measurementColumns.createStringifier(job.format, columns, job.delimiter);
+    let output = fs.createWriteStream(file);
+
+    let cursor = Measurement.find({
+      'sensor_id': {
+        '$in': Object.keys(sensors)
+      },
+      createdAt: {
+        '$gte': job.fromDate,
+        '$lte': job.toDate
+      }
+    }, {'createdAt': 1, 'value': 1, 'numericValue': 1, 'implausible': 1, '_id': 0, 'sensor_id': 1, 'location': 1})
+      .lean()
+      .cursor({ batchSize: 500 });
+
+    // pipe does not close the file on errors of the source streams
+    let fail = function (err) {
+      output.destroy();
+      reject(err);
+    };
+
+    cursor.on('error', fail);
+    transformer.on('error', fail);
+    stringifier.on('error', fail);
+    output.on('error', reject);
+    output.on('finish', function () {
+      resolve(count);
+    });
+
+    cursor
+      .pipe(qualityFlags.createQualityStream(flags, quality))
+      .pipe(transformer)
+      .pipe(stringifier)
+      .pipe(output);
+  });
+};
+
+let runJob = function (job) {
+  let file = exportFilePath(job),
+    tmpFile = file + '.tmp';
+
+  return Box.find({ _id: { '$in': job.boxIds } })
+    .lean()
+    .exec()
+    .then(function (boxes) {
+      let phenomena = job.phenomena.length !== 0 ? job.phenomena : undefined;
+      let sensors = measurementColumns.collectSensors(boxes, phenomena);
+
+      return QualityFlag.findForSensors(Object.keys(sensors), job.fromDate, job.toDate)
+        .then(function (flags) {
+          return writeExport(job, sensors, flags, tmpFile);
+        });
+    })
+    .then(function (count) {
+      return renameFile(tmpFile, file)
+        .then(function () {
+          job.set({
+            status: 'finished',
+            filename: path.basename(file),
+            measurementCount: count,
+            finishedAt: new Date()
+          });
+          return job.save();
+        });
+    })
+    .catch(function (err) {
+      console.log('export job', job._id, 'failed', err);
+      Honeybadger.notify(err);
+      job.set({
+        status: 'failed',
+        errorMessage: err.message || String(err),
+        finishedAt: new Date()
+      });
+      return removeFile(tmpFile)
+        .then(function () {
+          return job.save();
+        });
+    });
+};
+
+// removes finished and failed jobs older than RETENTION_DAYS including their files
+let removeExpiredJobs = function () {
+  let expired = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  return ExportJob.find({ status: { '$in': ['finished', 'failed'] }, finishedAt: { '$lt': expired } })
+    .exec()
+    .then(function (jobs) {
+      return Promise.all(jobs.map(function (job) {
+        return removeFile(exportFilePath(job))
+          .then(function () {
+            return job.remove();
+          });
+      }));
+    });
+};
+
+// processes the next pending job
+// resolves with true if a job was processed
+let processNextJob = function () {
+  return ExportJob.claimNextJob()
+    .then(function (job) {
+      if (!job) {
+        return removeExpiredJobs()
+          .then(function () {
+            return false;
+          });
+      }
+
+      console.log('running export job', job._id);
+      return runJob(job)
+        .then(function () {
+          return true;
+        });
+    });
+};
+
+let poll = function () {
+  processNextJob()
+    .then(function (processed) {
+      setTimeout(poll, processed ? 0 : POLL_INTERVAL_SECONDS * 1000);
+    })
+    .catch(function (err) {
+      console.log('error processing export jobs', err);
+      Honeybadger.notify(err);
+      setTimeout(poll, POLL_INTERVAL_SECONDS * 1000);
+    });
+};
+
+let startWorker = function () {
+  try {
+    fs.mkdirSync(cfg.exportFolder);
+  } catch (err) {
+    if (err.code !== 'EEXIST') {
+      console.log('unable to create export folder', cfg.exportFolder, err);
+      Honeybadger.notify(err);
+    }
+  }
+
+  // jobs which were running when the api was stopped are started again
+  // this assumes only one api process is processing export jobs
+  ExportJob.update({ status: 'running' }, { '$set': { status: 'pending' } }, { multi: true })
+    .exec()
+    .then(poll)
+    .catch(function (err) {
+      console.log('unable to start export worker', err);
+      Honeybadger.notify(err);
+    });
+};
+
+module.exports = {
+  DEFAULT_COLUMNS: DEFAULT_COLUMNS,
+  exportFilePath: exportFilePath,
+  startWorker: startWorker
+};
@@ -0,0 +1,179 @@
+'use strict';
+
+// spatial interpolation of the measurements of boxes onto a regular grid
+// of cells in a bounding box with inverse distance weighting (IDW)
+
+let restify = require('restify'),
+  boxFilters = require('./boxFilters'),
+  numericValueOf = require('./utils').numericValueOf;
+
+// the maximum number of cells of a grid
+const MAX_CELLS = 10000;
+
+// the number of cells along the longer side of the bbox if no cellSize is given
+const DEFAULT_CELLS_PER_SIDE = 50;
+
+const DEFAULT_POWER = 2;
+const MAX_POWER = 10;
+
+let paramGiven = function (param) {
+  return typeof param !== 'undefined' && param !== null && param.toString().trim() !== '';
+};
+
+// parses the parameters bbox (required), cellSize in degrees and power
+// returns the grid or an error
+let parseGridParameters = function (params) {
+  if (!paramGiven(params['bbox'])) {
+    return new restify.InvalidArgumentError('Parameter bbox is required');
+  }
+  let polygon = boxFilters.parseBbox(params['bbox']);
+  if (polygon instanceof Error) {
+    return polygon;
+  }
+  let minLng = polygon.coordinates[0][0][0],
+    minLat = polygon.coordinates[0][0][1],
+    maxLng = polygon.coordinates[0][2][0],
+    maxLat = polygon.coordinates[0][2][1];
+
+  let cellSize = Math.max(maxLng - minLng, maxLat - minLat) / DEFAULT_CELLS_PER_SIDE;
+  if (paramGiven(params['cellSize'])) {
+    cellSize = Number(params['cellSize']);
+    if (isNaN(cellSize) || cellSize <= 0) {
+      return new restify.InvalidArgumentError('Invalid parameter cellSize. Expected a positive number of degrees');
+    }
+  }
+
+  // ignore floating point noise when the bbox is a multiple of cellSize
+  let columns = Math.ceil((maxLng - minLng) / cellSize - 1e-9),
+    rows = Math.ceil((maxLat - minLat) / cellSize - 1e-9);
+  if (columns * rows > MAX_CELLS) {
+    return new restify.InvalidArgumentError('Too many cells (' + columns * rows + '). Please use a larger cellSize or a smaller bbox (maximum ' + MAX_CELLS + ' cells)');
+  }
+
+  let power = DEFAULT_POWER;
+  if (paramGiven(params['power'])) {
+    power = Number(params['power']);
+    if (isNaN(power) || power <= 0 || power > MAX_POWER) {
+      return new restify.InvalidArgumentError('Invalid parameter power. Expected a number greater than 0 and up to ' + MAX_POWER);
+    }
+  }
+
+  return {
+    bbox: [minLng, minLat, maxLng, maxLat],
+    cellSize: cellSize,
+    columns: columns,
+    rows: rows,
+    power: power
+  };
+};
+
+// reads the measurements from the stream and averages the numeric values
+// of each box. locations contains the box of each sensor as {boxId, lng, lat}.
+// Resolves with the points ({boxId, lng, lat, value}) of all boxes with values
+let collectPoints = function (stream, locations) {
+  let points = {};
+
+  return new Promise(function (resolve, reject) {
+    stream.on('data', function (measurement) {
+      let value = numericValueOf(measurement),
+        location = locations[measurement.sensor_id];
+      if (typeof value === 'undefined' || !location) {
+        return;
+      }
+      if (!points[location.boxId]) {
+        points[location.boxId] = { boxId: location.boxId, lng: location.lng, lat: location.lat, sum: 0, count: 0 };
+      }
+      points[location.boxId].sum += value;
+      points[location.boxId].count++;
+    });
+    stream.on('error', reject);
+    stream.on('end', function () {
+      resolve(Object.keys(points).map(function (boxId) {
+        let point = points[boxId];
+        return { boxId: boxId, lng: point.lng, lat: point.lat, value: point.sum / point.count };
+      }));
+    });
+  });
+};
+
+// approximate distance in meters between two points given as [lng, lat]
+// (equirectangular projection, sufficient for weighting)
+let distance = function (a, b) {
+  let toRadians = Math.PI / 180,
+    x = (b[0] - a[0]) * toRadians * Math.cos((a[1] + b[1]) / 2 * toRadians),
+    y = (b[1] - a[1]) * toRadians;
+  return Math.sqrt(x * x + y * y) * boxFilters.EARTH_RADIUS;
+};
+
+// interpolates the value at the location from the points ({lng, lat, value})
+// returns null if there are no points
+let idw = function (points, location, power) {
+  let weightedSum = 0,
+    weights = 0;
+
+  for (let point of points) {
+    let d = distance(location, [point.lng, point.lat]);
+    if (d < 1) {
+      // the location coincides with a point
+      return point.value;
+    }
+    let weight = 1 / Math.pow(d, power);
+    weightedSum += weight * point.value;
+    weights += weight;
+  }
+
+  return weights === 0 ? null : weightedSum / weights;
+};
+
+// returns the center [lng, lat] of the cell. Row 0 is the northernmost row
+let cellCenter = function (grid, row, column) {
+  return [
+    grid.bbox[0] + (column + 0.5) * grid.cellSize,
+    grid.bbox[3] - (row + 0.5) * grid.cellSize
+  ];
+};
+
+// interpolates the values at the centers of all cells of the grid
+// returns the values as array of rows, the northernmost row first
+let interpolateGrid = function (points, grid) {
+  let values = [];
+  for (let row = 0; row < grid.rows; row++) {
+    let rowValues = [];
+    for (let column = 0; column < grid.columns; column++) {
+      rowValues.push(idw(points, cellCenter(grid, row, column), grid.power));
+    }
+    values.push(rowValues);
+  }
+  return values;
+};
+
+// returns a GeoJSON FeatureCollection with one polygon per cell
+// and the interpolated value as property value
+let toFeatureCollection = function (grid, values) {
+  let features = [];
+  for (let row = 0; row < grid.rows; row++) {
+    for (let column = 0; column < grid.columns; column++) {
+      let west = grid.bbox[0] + column * grid.cellSize,
+        north = grid.bbox[3] - row * grid.cellSize,
+        east = west + grid.cellSize,
+        south = north - grid.cellSize;
+      features.push({
+        type: 'Feature',
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+        },
+        properties: { value: values[row][column] }
+      });
+    }
+  }
+  return { type: 'FeatureCollection', features: features };
+};
+
+module.exports = {
+  parseGridParameters: parseGridParameters,
+  collectPoints: collectPoints,
+  idw: idw,
+  interpolateGrid: interpolateGrid,
+  toFeatureCollection: toFeatureCollection
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+// helpers for the location history of boxes. Every entry of box.locations
+// is valid from its timestamp until the timestamp of the next entry. Boxes
+// stored before the history existed have been at loc[0] since their creation
+
+// returns the location history of the box ordered by timestamp
+let historyOf = function (box) {
+  if (box.locations && box.locations.length !== 0) {
+    return box.locations;
+  }
+  return [{
+    coordinates: box.loc[0].geometry.coordinates,
+    timestamp: box.loc[0].timestamp || box.createdAt || new Date(0)
+  }];
+};
+
+// returns the coordinates valid at the time. Times before the first
+// entry use the first location
+let locationAt = function (history, time) {
+  time = new Date(time).getTime();
+  let current = history[0];
+  for (let location of history) {
+    if (new Date(location.timestamp).getTime() > time) {
+      break;
+    }
+    current = location;
+  }
+  return current.coordinates;
+};
+
+module.exports = {
+  historyOf: historyOf,
+  locationAt: locationAt
+};
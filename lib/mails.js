@@ -13,6 +13,12 @@ if (cfg.honeybadger_apikey && cfg.honeybadger_apikey !== '') {
 module.exports = {
   sendWelcomeMail () {
     return Promise.resolve({'msg': 'no mailer configured'});
+  },
+  sendApikeyRotatedMail () {
+    return Promise.resolve({'msg': 'no mailer configured'});
+  },
+  sendCollaboratorInvitationMail () {
+    return Promise.resolve({'msg': 'no mailer configured'});
   }
 };
 
@@ -71,6 +77,73 @@ if (cfg.mailer_url && cfg.mailer_url.trim() !== '') {
         }
       ];
 
+      return requestMailer(payload)
+        .then((response) => {
+          console.log('successfully sent mails: ' + JSON.stringify(response));
+        })
+        .catch((err) => {
+          Honeybadger.notify(err);
+          console.error(err);
+        });
+    },
+    // previousValidUntil is the end of the grace period of the previous apikey
+    sendApikeyRotatedMail (user, box, previousValidUntil) {
+      let payload = [
+        {
+          template: 'apikeyRotated',
+          lang: 'de',
+          recipient: {
+            address: user.email,
+            name: user.firstname + ' ' + user.lastname
+          },
+          payload: {
+            user: {
+              firstname: user.firstname,
+              lastname: user.lastname
+            },
+            box: {
+              id: box._id,
+              name: box.name
+            },
+            previousValidUntil: previousValidUntil,
+            origin: cfg.mailer_origin
+          }
+        }
+      ];
+
+      return requestMailer(payload)
+        .then((response) => {
+          console.log('successfully sent mails: ' + JSON.stringify(response));
+        })
+        .catch((err) => {
+          Honeybadger.notify(err);
+          console.error(err);
+        });
+    },
+    sendCollaboratorInvitationMail (user, box, role) {
+      let payload = [
+        {
+          template: 'collaboratorInvitation',
+          lang: 'de',
+          recipient: {
+            address: user.email,
+            name: user.firstname + ' ' + user.lastname
+          },
+          payload: {
+            user: {
+              firstname: user.firstname,
+              lastname: user.lastname
+            },
+            box: {
+              id: box._id,
+              name: box.name
+            },
+            role: role,
+            origin: cfg.mailer_origin
+          }
+        }
+      ];
+
       return requestMailer(payload)
         .then((response) => {
           console.log('successfully sent mails: ' + JSON.stringify(response));
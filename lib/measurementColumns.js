@@ -0,0 +1,164 @@
+'use strict';
+
+// helpers for exporting measurements of multiple sensors with
+// additional columns taken from their sensors and boxes
+
+let restify = require('restify'),
+  csvstringify = require('csv-stringify'),
+  jsonstringify = require('stringify-stream'),
+  parseTimestamp = require('./utils').parseTimestamp,
+  phenomena = require('./phenomena'),
+  locationHistory = require('./locationHistory');
+
+const FORMATS = ['csv', 'json', 'ndjson', 'geojson'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  geojson: 'application/json; charset=utf-8'
+};
+
+const DEFAULT_COLUMNS = ['createdAt', 'value', 'lat', 'lng'];
+const ALLOWED_COLUMNS = ['createdAt', 'value', 'lat', 'lng', 'unit', 'boxId', 'sensorId', 'phenomenon', 'phenomenonId', 'sensorType', 'boxName', 'quality', 'qualityReason'];
+
+// parses a comma separated list of columns
+// returns the columns or an error if a column is not allowed
+let parseColumns = function (columnsParam, defaultColumns) {
+  if (typeof columnsParam === 'undefined' || columnsParam.toString().trim() === '') {
+    return defaultColumns || DEFAULT_COLUMNS;
+  }
+  let columns = columnsParam.toString().split(',');
+  if (columns.some(c => !ALLOWED_COLUMNS.includes(c))) {
+    return new restify.UnprocessableEntityError('illegal columns');
+  }
+  return columns;
+};
+
+// returns an object with the sensors of the given boxes observing one of the
+// phenomena (ids, aliases or titles) as values and their ids as keys. The sensors
+// are extended with the information of their box, including its location
+// history. If phenomena is undefined, all sensors are returned
+let collectSensors = function (boxes, phenomenaParam) {
+  let sensors = Object.create(null);
+
+  for (let box of boxes) {
+    for (let sensor of box.sensors) {
+      if (!phenomenaParam || phenomenaParam.some(p => phenomena.sensorMatches(sensor, p))) {
+        sensor.lat = box.loc[0].geometry.coordinates[1];
+        sensor.lng = box.loc[0].geometry.coordinates[0];
+        sensor.locations = locationHistory.historyOf(box);
+        sensor.boxId = box._id.toString();
+        sensor.boxName = box.name;
+        sensor.sensorId = sensor._id.toString();
+        sensor.phenomenonId = phenomena.phenomenonIdOf(sensor);
+        sensor.phenomenon = sensor.title;
+
+        sensors[sensor._id] = sensor;
+      }
+    }
+  }
+
+  return sensors;
+};
+
+// output the numeric value of a measurement instead of the raw
+// string value, if it is available
+let useNumericValue = function (measurement) {
+  if (typeof measurement.numericValue === 'number') {
+    measurement.value = measurement.numericValue;
+  }
+  measurement.numericValue = undefined;
+};
+
+// returns the coordinates of the measurement. Measurements of mobile boxes
+// have their own location, all others are located where their box was
+// at the time of the measurement
+let locationOf = function (measurement, sensor) {
+  if (measurement.location) {
+    return measurement.location.coordinates;
+  }
+  if (sensor.locations) {
+    return locationHistory.locationAt(sensor.locations, measurement.createdAt);
+  }
+  return [sensor.lng, sensor.lat];
+};
+
+// formats the measurement and fills the requested columns
+// with the values of its sensor
+let fillColumns = function (measurement, sensors, columns) {
+  let location = locationOf(measurement, sensors[measurement.sensor_id]);
+  measurement.lng = location[0];
+  measurement.lat = location[1];
+  measurement.location = undefined;
+
+  measurement.createdAt = parseTimestamp(measurement.createdAt).toISOString();
+  useNumericValue(measurement);
+
+  for (let col of columns) {
+    if (typeof measurement[col] === 'undefined') {
+      measurement[col] = sensors[measurement.sensor_id][col];
+    }
+  }
+
+  return measurement;
+};
+
+// picks the columns of the row for the output format. csv rows contain all
+// properties, json rows only the requested columns and geojson
+// features are located at lng and lat
+let formatRow = function (row, columns, format, lng, lat) {
+  if (format === 'csv') {
+    return row;
+  }
+
+  let output = {};
+  for (let col of columns) {
+    output[col] = row[col];
+  }
+  if (format !== 'geojson') {
+    return output;
+  }
+
+  return {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [lng, lat] },
+    properties: output
+  };
+};
+
+// formats the measurement for the output format. geojson features are
+// located at the location of the measurement
+let formatMeasurement = function (measurement, sensors, columns, format) {
+  measurement = fillColumns(measurement, sensors, columns);
+  return formatRow(measurement, columns, format, measurement.lng, measurement.lat);
+};
+
+// returns a stream writing formatted measurements in the output format
+let createStringifier = function (format, columns, delimiter) {
+  switch (format) {
+  case 'csv':
+    return csvstringify({ columns: columns, header: 1, delimiter: delimiter });
+  case 'ndjson':
+    return jsonstringify();
+  case 'json':
+    return jsonstringify({ open: '[', close: ']' });
+  case 'geojson':
+    return jsonstringify({ open: '{"type":"FeatureCollection","features":[', close: ']}' });
+  }
+};
+
+module.exports = {
+  FORMATS: FORMATS,
+  CONTENT_TYPES: CONTENT_TYPES,
+  DEFAULT_COLUMNS: DEFAULT_COLUMNS,
+  ALLOWED_COLUMNS: ALLOWED_COLUMNS,
+  parseColumns: parseColumns,
+  collectSensors: collectSensors,
+  useNumericValue: useNumericValue,
+  locationOf: locationOf,
+  fillColumns: fillColumns,
+  formatRow: formatRow,
+  formatMeasurement: formatMeasurement,
+  createStringifier: createStringifier
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+// Backfills the field numericValue of measurements stored before it existed.
+// Measurements are processed in batches ordered by their id, each batch starts
+// after the last id of the previous one. Every processed measurement gets a
+// numericValue (null if not numeric), so an interrupted run can simply be
+// restarted. To skip the measurements already processed, pass the last id
+// logged by the interrupted run as startId.
+//
+// Run with `node lib/migrations/numericValues.js [batchSize] [startId]`
+
+let mongoose = require('mongoose'),
+  utils = require('../utils'),
+  Measurement = require('../models/measurement').model;
+
+mongoose.Promise = require('bluebird');
+
+const DEFAULT_BATCH_SIZE = 1000;
+
+// migrates the next batch of measurements after lastId
+// resolves with the number of migrated measurements and the id of the last one
+let migrateBatch = function (batchSize, lastId) {
+  let qry = { numericValue: { '$exists': false } };
+  if (lastId) {
+    qry._id = { '$gt': lastId };
+  }
+
+  return Measurement.find(qry, { value: 1 })
+    .sort({ _id: 1 })
+    .limit(batchSize)
+    .lean()
+    .exec()
+    .then(function (measurements) {
+      if (measurements.length === 0) {
+        return { count: 0, lastId: lastId };
+      }
+
+      let ops = measurements.map(function (measurement) {
+        return {
+          updateOne: {
+            filter: { _id: measurement._id },
+            update: { '$set': { numericValue: utils.parseNumericValue(measurement.value) } }
+          }
+        };
+      });
+
+      return Measurement.collection.bulkWrite(ops, { ordered: false })
+        .then(function () {
+          return { count: measurements.length, lastId: measurements[measurements.length - 1]._id };
+        });
+    });
+};
+
+let backfillNumericValues = function (batchSize, startId) {
+  batchSize = batchSize || DEFAULT_BATCH_SIZE;
+  let total = 0;
+
+  let next = function (lastId) {
+    return migrateBatch(batchSize, lastId)
+      .then(function (result) {
+        if (result.count === 0) {
+          return total;
+        }
+        total = total + result.count;
+        console.log('migrated numericValue of', total, 'measurements, last id', result.lastId.toString());
+        return next(result.lastId);
+      });
+  };
+
+  return next(startId ? mongoose.Types.ObjectId(startId) : undefined);
+};
+
+module.exports = {
+  backfillNumericValues: backfillNumericValues
+};
+
+if (require.main === module) {
+  let batchSize = Number(process.argv[2]) || DEFAULT_BATCH_SIZE,
+    startId = process.argv[3];
+  if (startId && !mongoose.Types.ObjectId.isValid(startId)) {
+    console.error('startId', startId, 'is not a valid id');
+    process.exit(1);
+  }
+  utils.connectWithRetry(function () {
+    backfillNumericValues(batchSize, startId)
+      .then(function (total) {
+        console.log('finished migration of numericValue.', total, 'measurements migrated');
+        process.exit(0);
+      })
+      .catch(function (err) {
+        console.error('migration of numericValue failed. Restart to continue', err);
+        process.exit(1);
+      });
+  });
+}
@@ -0,0 +1,106 @@
+'use strict';
+
+// Removes measurements with the same sensor and timestamp, keeping the first
+// stored one, and creates the unique index on sensor_id and createdAt.
+// lastMeasurement references of sensors pointing to a removed duplicate are
+// changed to the kept measurement. The migration can be restarted at any time.
+//
+// Run with `node lib/migrations/removeDuplicateMeasurements.js`
+
+let mongoose = require('mongoose'),
+  utils = require('../utils'),
+  Box = require('../models/box').model,
+  Measurement = require('../models/measurement').model;
+
+mongoose.Promise = require('bluebird');
+
+// the index created by earlier versions of the api with the same keys but without unique
+const OLD_INDEX_NAME = 'sensor_id_1_createdAt_-1';
+
+let removeDuplicatesOf = function (group) {
+  let ids = group.ids.sort(function (a, b) {
+      return a.toString().localeCompare(b.toString());
+    }),
+    kept = ids[0],
+    removed = ids.slice(1);
+
+  return Measurement.collection.deleteMany({ _id: { '$in': removed } })
+    .then(function () {
+      return Box.collection.updateMany(
+        { 'sensors.lastMeasurement': { '$in': removed } },
+        { '$set': { 'sensors.$.lastMeasurement': kept } }
+      );
+    })
+    .then(function () {
+      return removed.length;
+    });
+};
+
+let removeDuplicates = function () {
+  let total = 0;
+  let cursor = Measurement.collection.aggregate([
+    { '$group': { _id: { sensor_id: '$sensor_id', createdAt: '$createdAt' }, ids: { '$push': '$_id' }, count: { '$sum': 1 } } },
+    { '$match': { count: { '$gt': 1 } } }
+  ], { allowDiskUse: true, cursor: { batchSize: 1000 } });
+
+  let next = function () {
+    return cursor.next()
+      .then(function (group) {
+        if (!group) {
+          return total;
+        }
+        return removeDuplicatesOf(group)
+          .then(function (count) {
+            total = total + count;
+            if (total % 1000 < count) {
+              console.log('removed', total, 'duplicate measurements');
+            }
+            return next();
+          });
+      });
+  };
+
+  return next();
+};
+
+let createUniqueIndex = function () {
+  return Measurement.collection.indexes()
+    .then(function (indexes) {
+      let oldIndex = indexes.find(i => i.name === OLD_INDEX_NAME);
+      if (oldIndex && !oldIndex.unique) {
+        console.log('dropping non unique index', OLD_INDEX_NAME);
+        return Measurement.collection.dropIndex(OLD_INDEX_NAME);
+      }
+    })
+    .then(function () {
+      return Measurement.ensureIndexes();
+    });
+};
+
+let removeDuplicateMeasurements = function () {
+  return removeDuplicates()
+    .then(function (total) {
+      return createUniqueIndex()
+        .then(function () {
+          return total;
+        });
+    });
+};
+
+module.exports = {
+  removeDuplicateMeasurements: removeDuplicateMeasurements
+};
+
+if (require.main === module) {
+  utils.connectWithRetry(function () {
+    removeDuplicateMeasurements()
+      .then(function (total) {
+        console.log('finished removing duplicate measurements.', total, 'measurements removed');
+        process.exit(0);
+      })
+      .catch(function (err) {
+        console.error('removing duplicate measurements failed. Restart to continue', err);
+        process.exit(1);
+      });
+  });
+}
@@ -0,0 +1,80 @@
+'use strict';
+
+// Links sensors stored before sensor.phenomenon existed to their phenomenon.
+// The phenomenon is determined from the title of the sensor. Sensors with
+// unknown titles are left unchanged. The migration can be restarted at any time.
+//
+// Run with `node lib/migrations/sensorPhenomena.js`
+
+let mongoose = require('mongoose'),
+  utils = require('../utils'),
+  phenomena = require('../phenomena'),
+  Box = require('../models/box').model;
+
+mongoose.Promise = require('bluebird');
+
+let linkSensorsOf = function (box) {
+  let ops = [];
+  for (let sensor of box.sensors) {
+    let phenomenonId = phenomena.phenomenonIdOf(sensor);
+    if (!sensor.phenomenon && phenomenonId) {
+      ops.push({
+        updateOne: {
+          filter: { _id: box._id, 'sensors._id': sensor._id },
+          update: { '$set': { 'sensors.$.phenomenon': phenomenonId } }
+        }
+      });
+    }
+  }
+
+  if (ops.length === 0) {
+    return Promise.resolve(0);
+  }
+
+  // use the collection to skip the mqtt hooks of the box model
+  return Box.collection.bulkWrite(ops, { ordered: false })
+    .then(function () {
+      return ops.length;
+    });
+};
+
+let linkSensorPhenomena = function () {
+  let total = 0;
+  let cursor = Box.find({ sensors: { '$elemMatch': { phenomenon: { '$exists': false } } } }, { sensors: 1 })
+    .lean()
+    .cursor({ batchSize: 100 });
+
+  let next = function () {
+    return cursor.next()
+      .then(function (box) {
+        if (!box) {
+          return total;
+        }
+        return linkSensorsOf(box)
+          .then(function (count) {
+            total = total + count;
+            return next();
+          });
+      });
+  };
+
+  return next();
+};
+
+module.exports = {
+  linkSensorPhenomena: linkSensorPhenomena
+};
+
+if (require.main === module) {
+  utils.connectWithRetry(function () {
+    linkSensorPhenomena()
+      .then(function (total) {
+        console.log('finished linking sensors to phenomena.', total, 'sensors linked');
+        process.exit(0);
+      })
+      .catch(function (err) {
+        console.error('linking sensors to phenomena failed. Restart to continue', err);
+        process.exit(1);
+      });
+  });
+}
@@ -6,7 +6,12 @@ var mongoose = require('mongoose'),
   products = require('../../products'),
   mqttClient = require('../mqtt'),
   Measurement = require('./measurement').model,
+  QualityFlag = require('./qualityFlag').model,
   parseTimestamp = require('../utils').parseTimestamp,
+  plausibility = require('../plausibility'),
+  phenomena = require('../phenomena'),
+  deviceTokens = require('../deviceTokens'),
+  collaborators = require('../collaborators'),
   User = require('./user').model;
 
 //Location schema
@@ -29,10 +34,19 @@ var LocationSchema = new Schema({
       required: true
     }
   },
-  properties: Schema.Types.Mixed
+  properties: Schema.Types.Mixed,
+  // since when the box is at this location
+  timestamp: {
+    type: Date,
+    required: false
+  }
 });
 LocationSchema.index({ 'geometry': '2dsphere' });
 
+// fixed boxes stay at their location, mobile boxes
+// submit the location of each measurement
+const BOX_TYPES = ['fixed', 'mobile'];
+
 //senseBox schema
 var boxSchema = new Schema({
   name: {
@@ -46,7 +60,8 @@ var boxSchema = new Schema({
   },
   boxType: {
     type: String,
-    required: true
+    required: true,
+    enum: BOX_TYPES
   },
   exposure: {
     type: String,
@@ -68,9 +83,47 @@ var boxSchema = new Schema({
     type: String,
     required: false
   },
-  sensors: [sensorSchema]
+  sensors: [sensorSchema],
+  // the locations of the box ordered by timestamp. Each location is valid
+  // from its timestamp until the next one. The current location stays in loc
+  locations: [{
+    _id: false,
+    coordinates: { type: [Number], required: true },
+    timestamp: { type: Date, required: true }
+  }],
+  // what to do with measurements violating the plausibility settings of their sensor
+  plausibilityMode: {
+    type: String,
+    enum: plausibility.PLAUSIBILITY_MODES,
+    default: 'reject'
+  },
+  // uploads of measurements have to be authenticated with one of the deviceTokens
+  requireAuthentication: {
+    type: Boolean,
+    default: false
+  },
+  // the hashes of the tokens are never sent out
+  deviceTokens: {
+    type: [{
+      name: { type: String, trim: true },
+      hash: { type: String, required: true },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
+  // users who may manage the box with their account besides its owner
+  collaborators: {
+    type: [{
+      _id: false,
+      user: { type: String, required: true },
+      role: { type: String, required: true, enum: collaborators.ROLES },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  }
 },{ strict: false });
 boxSchema.plugin(timestamp);
+boxSchema.index({ name: 'text', description: 'text' });
 
 boxSchema.add({
   mqtt: {
@@ -92,7 +145,9 @@ boxSchema.statics.newFromRequest = function (req) {
     _id: mongoose.Types.ObjectId(),
     model: req.params.model,
     sensors: req.params.sensors,
-    mqtt: req.params.mqtt
+    mqtt: req.params.mqtt,
+    plausibilityMode: req.params.plausibilityMode,
+    requireAuthentication: req.params.requireAuthentication
   };
 
   // if model is not empty, get sensor definitions from products
@@ -118,7 +173,29 @@ boxSchema.statics.newFromRequest = function (req) {
     boxData.sensors[i] = Object.assign(boxData.sensors[i], { _id: mongoose.Types.ObjectId() });
   }
 
-  return new this(boxData);
+  // use the plausibility settings of known sensors as defaults
+  // and link the sensors to their phenomenon
+  for (let sensor of boxData.sensors) {
+    sensor.phenomenon = phenomena.phenomenonIdOf(sensor) || sensor.phenomenon;
+
+    let definition = products.findSensorDefinition(sensor.sensorType, sensor.title);
+    if (definition) {
+      for (let setting of plausibility.SENSOR_SETTINGS) {
+        if (typeof sensor[setting] === 'undefined' && typeof definition[setting] !== 'undefined') {
+          sensor[setting] = definition[setting];
+        }
+      }
+    }
+  }
+
+  let box = new this(boxData),
+    now = new Date();
+  if (box.loc.length !== 0) {
+    box.loc[0].timestamp = now;
+    box.locations = [{ coordinates: box.loc[0].geometry.coordinates, timestamp: now }];
+  }
+
+  return box;
 };
 
 boxSchema.statics.connectMQTTBoxes = function () {
@@ -151,17 +228,64 @@ boxSchema.statics.findAndPopulateBoxById = function (id) {
   });
 };
 
+// checks the measurements against the plausibility settings of their sensors.
+// Depending on the plausibilityMode of the box, implausible measurements are
+// rejected or flagged with implausible: true.
+// resolves with the accepted measurements and the rejected ones with their reason
+boxSchema.methods.checkPlausibility = function (measurements) {
+  let box = this,
+    sensors = {},
+    lastMeasurementIds = [];
+
+  if (box.plausibilityMode === 'off') {
+    return Promise.resolve({ accepted: measurements, rejected: [] });
+  }
+
+  for (let sensor of box.sensors) {
+    if (plausibility.hasPlausibilitySettings(sensor)) {
+      sensors[sensor._id] = sensor;
+      if (typeof sensor.maxRateOfChange === 'number' && sensor.lastMeasurement) {
+        lastMeasurementIds.push(sensor.lastMeasurement);
+      }
+    }
+  }
+
+  if (Object.keys(sensors).length === 0) {
+    return Promise.resolve({ accepted: measurements, rejected: [] });
+  }
+
+  return Measurement.find({ _id: { '$in': lastMeasurementIds } }).lean().exec()
+    .then(function (lastMeasurements) {
+      let previousMeasurements = {};
+      for (let lastMeasurement of lastMeasurements) {
+        previousMeasurements[lastMeasurement.sensor_id] = lastMeasurement;
+      }
+
+      let implausible = plausibility.findImplausibleMeasurements(sensors, measurements, previousMeasurements);
+      if (implausible.length === 0) {
+        return { accepted: measurements, rejected: [] };
+      }
+
+      if (box.plausibilityMode === 'flag') {
+        for (let i of implausible) {
+          i.measurement.implausible = true;
+        }
+        return { accepted: measurements, rejected: [] };
+      }
+
+      let rejectedMeasurements = implausible.map(i => i.measurement);
+      return {
+        accepted: measurements.filter(m => !rejectedMeasurements.includes(m)),
+        rejected: implausible
+      };
+    });
+};
+
 boxSchema.methods.saveMeasurement = function (measurement) {
   let box = this;
   for (let i = box.sensors.length - 1; i >= 0; i--) {
     if (box.sensors[i]._id.equals(measurement.sensor_id)) {
-      let m = new Measurement(measurement);
-
-      box.sensors[i].lastMeasurement = m._id;
-      return Promise.all([
-        box.save(),
-        m.save()
-      ]);
+      return box.saveMeasurementsArray([measurement]);
     } else if (i === 0) { // the loop iterates down. if i is zero, no sensor was found with this id in the box
       return Promise.reject('sensor not found');
     }
@@ -176,6 +300,8 @@ boxSchema.methods.sensorIds = function () {
   return sensorIds;
 };
 
+// saves the plausible measurements which are not already stored.
+// resolves with the arrays inserted, duplicates and rejected (see checkPlausibility)
 boxSchema.methods.saveMeasurementsArray = function (measurements) {
   let box = this;
 
@@ -187,28 +313,46 @@ boxSchema.methods.saveMeasurementsArray = function (measurements) {
     return Promise.reject('array expected');
   }
 
-  let sensorIds = this.sensorIds(),
-    lastMeasurements = {};
+  let sensorIds = this.sensorIds();
 
   // check if all measurements belong to this box
   for (let measurement of measurements) {
     if (sensorIds.indexOf(measurement.sensor_id) === -1) {
       return Promise.reject('measurement for sensor with id ' + measurement.sensor_id + ' does not belong to box');
     }
-
-    if (!lastMeasurements[measurement.sensor_id]) {
-      lastMeasurements[measurement.sensor_id] = measurement;
-    } else {
-      let ts = parseTimestamp(measurement.createdAt),
-        previous_ts = parseTimestamp(lastMeasurements[measurement.sensor_id].createdAt);
-      if (ts.isAfter(previous_ts)) {
-        lastMeasurements[measurement.sensor_id] = measurement;
-      }
+    if (measurement.location && box.boxType !== 'mobile') {
+      return Promise.reject('only mobile boxes can submit measurements with location');
     }
   }
 
-  return Measurement.insertMany(measurements)
-    .then(function () {
+  let result, rejected;
+  return box.checkPlausibility(measurements)
+    .then(function (checked) {
+      rejected = checked.rejected;
+      // measurements already stored (e.g. retries of devices) are skipped
+      return Measurement.insertWithoutDuplicates(checked.accepted);
+    })
+    .then(function (insertResult) {
+      result = insertResult;
+      result.rejected = rejected;
+
+      // implausible measurements are stored, but not shown as lastMeasurement
+      let lastMeasurements = {};
+      for (let measurement of result.inserted) {
+        if (measurement.implausible) {
+          continue;
+        }
+        if (!lastMeasurements[measurement.sensor_id]) {
+          lastMeasurements[measurement.sensor_id] = measurement;
+        } else {
+          let ts = parseTimestamp(measurement.createdAt),
+            previous_ts = parseTimestamp(lastMeasurements[measurement.sensor_id].createdAt);
+          if (ts.isAfter(previous_ts)) {
+            lastMeasurements[measurement.sensor_id] = measurement;
+          }
+        }
+      }
+
       // set lastMeasurementIds..
       for (let sensor of box.sensors) {
         if (lastMeasurements[sensor._id]) {
@@ -216,23 +360,141 @@ boxSchema.methods.saveMeasurementsArray = function (measurements) {
         }
       }
 
+      // move mobile boxes to the latest location
+      box.updateLocationFromMeasurements(result.inserted);
+
       //save the box
       return box.save();
+    })
+    .then(function () {
+      return result;
+    });
+};
+
+// sets the location of the box to the location of the latest measurement,
+// if it is newer than the current location
+boxSchema.methods.updateLocationFromMeasurements = function (measurements) {
+  let box = this,
+    latest;
+
+  for (let measurement of measurements) {
+    if (measurement.location && (!latest || measurement.createdAt > latest.createdAt)) {
+      latest = measurement;
+    }
+  }
+
+  let current = box.loc[0];
+  if (!latest || (current.timestamp && current.timestamp >= latest.createdAt)) {
+    return;
+  }
+
+  current.geometry.coordinates = latest.location.coordinates;
+  current.timestamp = latest.createdAt;
+};
+
+// moves the box to the coordinates and appends them to the location history.
+// Boxes without history get their previous location as first entry
+boxSchema.methods.relocate = function (coordinates, timestamp) {
+  let box = this,
+    current = box.loc[0];
+
+  if (box.locations.length === 0) {
+    box.locations.push({
+      coordinates: current.geometry.coordinates,
+      timestamp: current.timestamp || box.createdAt || new Date(0)
+    });
+  }
+  box.locations.push({ coordinates: coordinates, timestamp: timestamp });
+
+  current.geometry.coordinates = coordinates;
+  current.timestamp = timestamp;
+};
+
+// creates a new device token and returns it together with its id.
+// The token itself is not stored, so it can only be shown once
+boxSchema.methods.addDeviceToken = function (name) {
+  let token = deviceTokens.generateToken();
+  this.deviceTokens.push({ name: name, hash: deviceTokens.hashToken(token) });
+  let entry = this.deviceTokens[this.deviceTokens.length - 1];
+  return { _id: entry._id, name: entry.name, createdAt: entry.createdAt, token: token };
+};
+
+// checks if measurements authenticated with the token may be uploaded.
+// The box has to be queried with its deviceTokens
+boxSchema.methods.acceptsDeviceToken = function (token) {
+  if (!this.requireAuthentication) {
+    return true;
+  }
+  if (!token) {
+    return false;
+  }
+  let hash = deviceTokens.hashToken(token);
+  return this.deviceTokens.some(t => t.hash === hash);
+};
+
+// returns the role of the user as collaborator of the box or undefined.
+// The box has to be queried with its collaborators
+boxSchema.methods.roleOf = function (userId) {
+  let collaborator = this.collaborators.find(c => c.user === userId.toString());
+  if (collaborator) {
+    return collaborator.role;
+  }
+};
+
+// adds the user as collaborator or changes the role of the collaborator
+boxSchema.methods.setCollaborator = function (userId, role) {
+  let collaborator = this.collaborators.find(c => c.user === userId.toString());
+  if (collaborator) {
+    collaborator.role = role;
+  } else {
+    this.collaborators.push({ user: userId.toString(), role: role });
+  }
+};
+
+// deletes the measurements of the sensor matching the createdAt condition
+// and points the lastMeasurement of the sensor to the latest remaining measurement
+// resolves with the number of deleted measurements
+boxSchema.methods.deleteMeasurementsOfSensor = function (sensorId, createdAtQry) {
+  let box = this,
+    sensor = box.sensors.find(s => s._id.equals(sensorId));
+
+  if (!sensor) {
+    return Promise.reject(new Error('sensor not found'));
+  }
+
+  let deletedCount;
+  return Measurement.remove({ sensor_id: sensor._id, createdAt: createdAtQry }).exec()
+    .then(function (result) {
+      deletedCount = result.result.n;
+      return Measurement.findOne({ sensor_id: sensor._id, implausible: { '$ne': true } }, { _id: 1 })
+        .sort({ createdAt: -1 })
+        .lean()
+        .exec();
+    })
+    .then(function (lastMeasurement) {
+      sensor.lastMeasurement = lastMeasurement ? lastMeasurement._id : undefined;
+      return box.save();
+    })
+    .then(function () {
+      return deletedCount;
     });
 };
 
 boxSchema.statics.deleteBox = function (boxId) {
-  var qrys = [];
+  return this.findById(boxId).exec().then(function (box) {
+    var qrys = [];
 
-  this.findById(boxId, function (findboxerr, box) {
     box.sensors.forEach(function (sensor) {
-      qrys.push(Measurement.find({ sensor_id: sensor._id }).remove());
+      qrys.push(Measurement.find({ sensor_id: sensor._id }).remove().exec());
+      qrys.push(QualityFlag.find({ sensor_id: sensor._id }).remove().exec());
     });
     qrys.push(box.remove());
-    qrys.push(User.findOneAndRemove({ 'boxes': { '$in': [boxId] } }));
-  });
+    // accounts keep their other boxes, users created for the box are removed
+    qrys.push(User.update({ 'boxes': { '$in': [boxId] }, 'password': { '$exists': true } }, { '$pull': { 'boxes': boxId } }).exec());
+    qrys.push(User.findOneAndRemove({ 'boxes': { '$in': [boxId] }, 'password': { '$exists': false } }).exec());
 
-  return Promise.all(qrys);
+    return Promise.all(qrys);
+  });
 };
 
 let checkMqttChanged = function (next) {
@@ -266,6 +528,7 @@ boxSchema.pre('remove', function (next) {
 var boxModel = mongoose.model('Box', boxSchema);
 
 module.exports = {
+  BOX_TYPES: BOX_TYPES,
   schema: boxSchema,
   model: boxModel
 };
@@ -0,0 +1,103 @@
+'use strict';
+let mongoose = require('mongoose'),
+  timestamp = require('mongoose-timestamp'),
+  Schema = mongoose.Schema;
+
+const EXPORT_FORMATS = ['csv', 'ndjson', 'json', 'geojson'];
+const EXPORT_STATES = ['pending', 'running', 'finished', 'failed'];
+
+let exportJobSchema = new Schema({
+  boxIds: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Box'
+  }],
+  // phenomena (ids, aliases or sensor titles) to export. If empty, all sensors of the boxes are exported
+  phenomena: [{
+    type: String,
+    trim: true
+  }],
+  fromDate: {
+    type: Date,
+    required: true
+  },
+  toDate: {
+    type: Date,
+    required: true
+  },
+  format: {
+    type: String,
+    required: true,
+    enum: EXPORT_FORMATS
+  },
+  columns: [{
+    type: String
+  }],
+  // the accepted qualities of measurements, see lib/qualityFlags.js
+  quality: [{
+    type: String
+  }],
+  delimiter: {
+    type: String,
+    default: ';'
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: EXPORT_STATES,
+    default: 'pending'
+  },
+  measurementCount: {
+    type: Number,
+    default: 0
+  },
+  errorMessage: {
+    type: String
+  },
+  filename: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+});
+exportJobSchema.plugin(timestamp);
+exportJobSchema.index({ status: 1, createdAt: 1 });
+
+// atomically marks the oldest pending job as running and returns it
+exportJobSchema.statics.claimNextJob = function () {
+  return this.findOneAndUpdate(
+    { status: 'pending' },
+    { '$set': { status: 'running', startedAt: new Date() } },
+    { sort: { createdAt: 1 }, new: true }
+  ).exec();
+};
+
+// output for status requests
+exportJobSchema.methods.toStatus = function () {
+  return {
+    _id: this._id,
+    status: this.status,
+    boxIds: this.boxIds,
+    phenomena: this.phenomena,
+    fromDate: this.fromDate,
+    toDate: this.toDate,
+    format: this.format,
+    quality: this.quality,
+    measurementCount: this.measurementCount,
+    error: this.errorMessage,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt
+  };
+};
+
+let exportJobModel = mongoose.model('ExportJob', exportJobSchema);
+
+module.exports = {
+  schema: exportJobSchema,
+  model: exportJobModel,
+  EXPORT_FORMATS: EXPORT_FORMATS
+};
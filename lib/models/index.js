@@ -2,11 +2,15 @@
 let Box = require('./box'),
   User = require('./user'),
   Measurement = require('./measurement'),
-  Sensor = require('./sensor');
+  Sensor = require('./sensor'),
+  ExportJob = require('./exportJob'),
+  QualityFlag = require('./qualityFlag');
 
 module.exports = {
   Box: Box.model,
   User: User.model,
   Measurement: Measurement.model,
-  Sensor: Sensor.model
+  Sensor: Sensor.model,
+  ExportJob: ExportJob.model,
+  QualityFlag: QualityFlag.model
 };
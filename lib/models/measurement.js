@@ -8,14 +8,110 @@ let measurementSchema = new Schema({
     type: String,
     required: true
   },
+  // the value parsed as number. null if the value is not numeric
+  numericValue: {
+    type: Number,
+    required: false
+  },
+  // set if the measurement violates the plausibility settings of its sensor
+  implausible: {
+    type: Boolean,
+    required: false
+  },
   sensor_id: {
     type: Schema.Types.ObjectId,
     ref: 'Sensor',
     required: true
+  },
+  // where the measurement was taken. Only for mobile boxes
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    // [lng, lat] or [lng, lat, height]
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
   }
 });
 measurementSchema.plugin(timestamp);
-measurementSchema.index({ sensor_id: 1, createdAt: -1 });
+// there can only be one measurement per sensor and timestamp.
+// Run lib/migrations/removeDuplicateMeasurements.js to create this index on existing databases
+measurementSchema.index({ sensor_id: 1, createdAt: -1 }, { unique: true });
+
+let measurementKey = function (measurement) {
+  return measurement.sensor_id.toString() + '/' + new Date(measurement.createdAt).getTime();
+};
+
+// resolves with a Set of keys of the given measurements which are already stored
+measurementSchema.statics.findStoredKeys = function (measurements) {
+  let model = this,
+    datesBySensor = {};
+
+  for (let measurement of measurements) {
+    let sensorId = measurement.sensor_id.toString();
+    if (!datesBySensor[sensorId]) {
+      datesBySensor[sensorId] = [];
+    }
+    datesBySensor[sensorId].push(measurement.createdAt);
+  }
+
+  return Promise.all(Object.keys(datesBySensor).map(function (sensorId) {
+    return model.find({ sensor_id: sensorId, createdAt: { '$in': datesBySensor[sensorId] } }, { sensor_id: 1, createdAt: 1, _id: 0 })
+      .lean()
+      .exec();
+  }))
+    .then(function (results) {
+      let keys = new Set();
+      for (let stored of results) {
+        for (let measurement of stored) {
+          keys.add(measurementKey(measurement));
+        }
+      }
+      return keys;
+    });
+};
+
+// inserts the measurements which are not already stored. Duplicates are skipped.
+// resolves with an object with the arrays inserted and duplicates
+measurementSchema.statics.insertWithoutDuplicates = function (measurements, retried) {
+  let model = this;
+
+  return model.findStoredKeys(measurements)
+    .then(function (storedKeys) {
+      let inserted = [],
+        duplicates = [];
+
+      for (let measurement of measurements) {
+        let key = measurementKey(measurement);
+        if (storedKeys.has(key)) {
+          duplicates.push(measurement);
+        } else {
+          // also skip duplicates within the given measurements
+          storedKeys.add(key);
+          inserted.push(measurement);
+        }
+      }
+
+      if (inserted.length === 0) {
+        return { inserted: inserted, duplicates: duplicates };
+      }
+
+      return model.insertMany(inserted)
+        .then(function () {
+          return { inserted: inserted, duplicates: duplicates };
+        })
+        .catch(function (err) {
+          // some measurements were stored by a concurrent request in the meantime
+          if (err.code === 11000 && !retried) {
+            return model.insertWithoutDuplicates(measurements, true);
+          }
+          throw err;
+        });
+    });
+};
 
 let measurementModel = mongoose.model('Measurement', measurementSchema);
 
@@ -0,0 +1,63 @@
+'use strict';
+let mongoose = require('mongoose'),
+  timestamp = require('mongoose-timestamp'),
+  Schema = mongoose.Schema;
+
+const QUALITY_FLAGS = ['suspect', 'invalid', 'corrected'];
+
+// marks the measurements of a sensor in the time frame fromDate to toDate
+// (both inclusive). Flags of single measurements reference the measurement
+let qualityFlagSchema = new Schema({
+  sensor_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Sensor',
+    required: true
+  },
+  measurement_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Measurement',
+    required: false
+  },
+  fromDate: {
+    type: Date,
+    required: true
+  },
+  toDate: {
+    type: Date,
+    required: true
+  },
+  flag: {
+    type: String,
+    required: true,
+    enum: QUALITY_FLAGS
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  }
+});
+qualityFlagSchema.plugin(timestamp);
+qualityFlagSchema.index({ sensor_id: 1, fromDate: 1, toDate: 1 });
+
+// returns the flags of the sensors overlapping the time frame,
+// the most recently created flags first
+qualityFlagSchema.statics.findForSensors = function (sensorIds, fromDate, toDate) {
+  return this.find({
+    sensor_id: { '$in': sensorIds },
+    fromDate: { '$lte': toDate },
+    toDate: { '$gte': fromDate }
+  })
+    .sort({ createdAt: -1 })
+    .lean()
+    .exec();
+};
+
+let qualityFlagModel = mongoose.model('QualityFlag', qualityFlagSchema);
+
+module.exports = {
+  schema: qualityFlagSchema,
+  model: qualityFlagModel,
+  QUALITY_FLAGS: QUALITY_FLAGS
+};
@@ -1,6 +1,7 @@
 'use strict';
 var mongoose = require('mongoose'),
-  Schema = mongoose.Schema;
+  Schema = mongoose.Schema,
+  PHENOMENON_IDS = require('../phenomena').PHENOMENON_IDS;
 
 //Sensor schema
 var sensorSchema = new Schema({
@@ -24,6 +25,25 @@ var sensorSchema = new Schema({
     required: false,
     trim: true
   },
+  // the canonical id of the observed phenomenon, see lib/phenomena.js
+  phenomenon: {
+    type: String,
+    required: false,
+    enum: PHENOMENON_IDS
+  },
+  // plausibility settings, see lib/plausibility.js
+  minValue: {
+    type: Number,
+    required: false
+  },
+  maxValue: {
+    type: Number,
+    required: false
+  },
+  maxRateOfChange: {
+    type: Number,
+    required: false
+  },
   lastMeasurement: {
     type: Schema.Types.ObjectId,
     ref: 'Measurement'
@@ -34,8 +34,24 @@ var userSchema = new Schema({
   language: {
     type: String,
     trim: true
-  }
+  },
+  // only users with a password have an account to sign in. Users
+  // created along with a single senseBox only have the apikey
+  password: {
+    type: String,
+    select: false
+  },
+  // apikeys replaced by a rotation, which are still valid until the end of their grace period
+  previousApikeys: [{
+    _id: false,
+    apikey: { type: String, trim: true },
+    validUntil: Date
+  }]
 });
+userSchema.index({ 'previousApikeys.apikey': 1 });
+// there is only one account per email. Accounts store their email lowercased,
+// users without password may share their email
+userSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { password: { $exists: true } } });
 
 userSchema.statics.createForBoxRequest = function (box, req, cb) {
   // aparently this.create(<data>) fails with missing key errors in mongoose 4.6.0
@@ -50,9 +66,46 @@ userSchema.statics.createForBoxRequest = function (box, req, cb) {
   }).save(cb);
 };
 
+// finds the account with the email, including its password hash
+userSchema.statics.findAccountByEmail = function (email) {
+  return this.findOne({ email: String(email).trim().toLowerCase(), password: { $exists: true } })
+    .select('+password')
+    .exec();
+};
+
+// finds the user owning the box by its current apikey or
+// a previous apikey which is still in its grace period
+userSchema.statics.findByApikey = function (apikey, boxId) {
+  return this.findOne({
+    boxes: { $in: [ boxId ] },
+    $or: [
+      { apikey: apikey },
+      { previousApikeys: { $elemMatch: { apikey: apikey, validUntil: { $gt: new Date() } } } }
+    ]
+  }).exec();
+};
+
+// replaces the apikey with the new one. With a grace period in milliseconds,
+// the current apikey stays valid until its end, which is returned
+userSchema.methods.rotateApikey = function (newApikey, gracePeriod) {
+  let now = new Date(),
+    validUntil;
+
+  this.previousApikeys = this.previousApikeys.filter(p => p.validUntil > now);
+  if (gracePeriod > 0) {
+    validUntil = new Date(now.getTime() + gracePeriod);
+    this.previousApikeys.push({ apikey: this.apikey, validUntil: validUntil });
+  }
+  this.apikey = newApikey;
+
+  return validUntil;
+};
+
 var handleE11000 = function (error, res, next) {
   if (error.name === 'MongoError' && error.code === 11000) {
-    next(new Error('Duplicate senseBox found'));
+    let duplicateError = new Error('Duplicate senseBox found');
+    duplicateError.code = error.code;
+    next(duplicateError);
   } else {
     next();
   }
@@ -2,6 +2,8 @@
 
 let mqtt = require('mqtt'),
   decodeHandlers = require('../decoding'),
+  deviceTokens = require('../deviceTokens'),
+  plausibility = require('../plausibility'),
   connOptsParser = require('./connectionOptionsParser');
 
 const RETRY_AFTER_MINUTES = 10;
@@ -86,15 +88,30 @@ let connect = function (box) {
             // should help with the version error
             // box.constructor is the model
             box.constructor.findOne({ _id: box._id })
+              .select('+deviceTokens')
               .then(function (box) {
                 let msgStr = message.toString();
+                // boxes requiring authentication expect a device token in the first line
+                if (box.requireAuthentication) {
+                  let split = deviceTokens.splitMessage(msgStr);
+                  if (!box.acceptsDeviceToken(split.token)) {
+                    throw new Error('device token is invalid or missing');
+                  }
+                  msgStr = split.message;
+                }
                 let decoded = handler.decodeMessage(msgStr, decodeOptions);
                 return box.saveMeasurementsArray(decoded);
               })
               .then(function (result) {
-                if (result.length !== 0) {
+                if (result.inserted.length !== 0) {
                   console.log('received, decoded and saved mqtt message for box', box._id);
                 }
+                if (result.duplicates.length !== 0) {
+                  console.log('skipped', result.duplicates.length, 'duplicate measurements of mqtt message for box', box._id);
+                }
+                if (result.rejected.length !== 0) {
+                  console.log('rejected implausible measurements of mqtt message for box', box._id, plausibility.describe(result.rejected));
+                }
               })
               .catch(function (err) {
                 console.log('error saving mqtt message for box', box._id, 'error:', err, 'message:', message.toString());
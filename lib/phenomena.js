@@ -0,0 +1,169 @@
+'use strict';
+
+// registry of the phenomena observed by sensors. Sensors reference a
+// phenomenon by its canonical id in sensor.phenomenon. Sensors created before
+// this field existed are matched through the aliases of the phenomenon,
+// which contain the sensor titles used by the products and the frontend.
+// The quantity determines the units measurements can be converted to (see lib/units.js)
+
+const PHENOMENA = [
+  {
+    id: 'temperature',
+    labels: { de: 'Temperatur', en: 'Temperature' },
+    unit: '°C',
+    quantity: 'temperature',
+    icon: 'osem-thermometer',
+    aliases: ['Temperatur', 'Temperature', 'Lufttemperatur', 'Air temperature']
+  },
+  {
+    id: 'relative_humidity',
+    labels: { de: 'rel. Luftfeuchte', en: 'Relative humidity' },
+    unit: '%',
+    icon: 'osem-humidity',
+    aliases: ['rel. Luftfeuchte', 'Luftfeuchtigkeit', 'Luftfeuchte', 'rel. Luftfeuchtigkeit', 'Relative humidity', 'Humidity']
+  },
+  {
+    id: 'air_pressure',
+    labels: { de: 'Luftdruck', en: 'Air pressure' },
+    unit: 'hPa',
+    quantity: 'pressure',
+    icon: 'osem-barometer',
+    aliases: ['Luftdruck', 'Air pressure', 'Pressure', 'Atmosphärendruck']
+  },
+  {
+    id: 'illuminance',
+    labels: { de: 'Beleuchtungsstärke', en: 'Illuminance' },
+    unit: 'lx',
+    quantity: 'illuminance',
+    icon: 'osem-brightness',
+    aliases: ['Beleuchtungsstärke', 'Illuminance']
+  },
+  {
+    id: 'uv_intensity',
+    labels: { de: 'UV-Intensität', en: 'UV intensity' },
+    unit: 'μW/cm²',
+    icon: 'osem-brightness',
+    aliases: ['UV-Intensität', 'UV', 'UV intensity']
+  },
+  {
+    id: 'loudness',
+    labels: { de: 'Lautstärke', en: 'Loudness' },
+    unit: 'Schallpegel',
+    icon: 'osem-volume-up',
+    aliases: ['Lautstärke', 'Loudness', 'Noise']
+  },
+  {
+    id: 'brightness',
+    labels: { de: 'Helligkeit', en: 'Brightness' },
+    unit: 'Lichtpegel',
+    icon: 'osem-brightness',
+    aliases: ['Helligkeit', 'Brightness']
+  },
+  {
+    id: 'wind_speed',
+    labels: { de: 'Windgeschwindigkeit', en: 'Wind speed' },
+    unit: 'm/s',
+    quantity: 'speed',
+    icon: 'osem-dashboard',
+    aliases: ['Windgeschwindigkeit', 'Wind speed', 'Wind']
+  },
+  {
+    id: 'pm10',
+    labels: { de: 'Feinstaub PM10', en: 'Particulate matter PM10' },
+    unit: 'µg/m³',
+    icon: 'osem-cloud',
+    aliases: ['PM10', 'Feinstaub PM10']
+  },
+  {
+    id: 'pm25',
+    labels: { de: 'Feinstaub PM2.5', en: 'Particulate matter PM2.5' },
+    unit: 'µg/m³',
+    icon: 'osem-cloud',
+    aliases: ['PM2.5', 'PM25', 'Feinstaub PM2.5']
+  }
+];
+
+const PHENOMENON_IDS = PHENOMENA.map(p => p.id);
+
+let normalize = function (name) {
+  return name.toString().trim().toLowerCase();
+};
+
+// all names of a phenomenon: its id, labels and aliases
+let namesOf = function (phenomenon) {
+  let names = [phenomenon.id].concat(phenomenon.aliases);
+  for (let lang of Object.keys(phenomenon.labels)) {
+    if (!names.includes(phenomenon.labels[lang])) {
+      names.push(phenomenon.labels[lang]);
+    }
+  }
+  return names;
+};
+
+let phenomenaByName = {};
+for (let phenomenon of PHENOMENA) {
+  for (let name of namesOf(phenomenon)) {
+    phenomenaByName[normalize(name)] = phenomenon;
+  }
+}
+
+// returns the phenomenon with the given id or alias (case is ignored)
+// or undefined for unknown phenomena
+let findPhenomenon = function (idOrAlias) {
+  if (typeof idOrAlias === 'undefined' || idOrAlias === null) {
+    return;
+  }
+  return phenomenaByName[normalize(idOrAlias)];
+};
+
+// returns the canonical id of the phenomenon observed by the sensor
+// or undefined if it is unknown
+let phenomenonIdOf = function (sensor) {
+  let phenomenon = findPhenomenon(sensor.phenomenon) || findPhenomenon(sensor.title);
+  if (phenomenon) {
+    return phenomenon.id;
+  }
+};
+
+// checks if the sensor observes the phenomenon given as id, alias or title
+// (case is ignored)
+let sensorMatches = function (sensor, idOrAlias) {
+  let phenomenon = findPhenomenon(idOrAlias);
+  if (!phenomenon) {
+    return typeof sensor.title !== 'undefined' && sensor.title !== null &&
+      normalize(sensor.title) === normalize(idOrAlias);
+  }
+  return phenomenonIdOf(sensor) === phenomenon.id;
+};
+
+// returns an anchored, case insensitive regex matching any of the names
+let titleRegex = function (names) {
+  let alternatives = names.map(function (name) {
+    return name.toString().trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  });
+  return new RegExp('^\\s*(' + alternatives.join('|') + ')\\s*$', 'i');
+};
+
+// returns a query for boxes with at least one sensor observing the phenomenon
+// given as id, alias or title (case is ignored like in sensorMatches)
+let boxQuery = function (idOrAlias) {
+  let phenomenon = findPhenomenon(idOrAlias);
+  if (!phenomenon) {
+    return { 'sensors.title': titleRegex([idOrAlias]) };
+  }
+  return {
+    '$or': [
+      { 'sensors.phenomenon': phenomenon.id },
+      { 'sensors.title': titleRegex(namesOf(phenomenon)) }
+    ]
+  };
+};
+
+module.exports = {
+  PHENOMENA: PHENOMENA,
+  PHENOMENON_IDS: PHENOMENON_IDS,
+  findPhenomenon: findPhenomenon,
+  phenomenonIdOf: phenomenonIdOf,
+  sensorMatches: sensorMatches,
+  boxQuery: boxQuery
+};
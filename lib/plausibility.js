@@ -0,0 +1,110 @@
+'use strict';
+
+// checks measurements against the plausibility settings of their sensors:
+// minValue, maxValue and maxRateOfChange (absolute change per minute)
+
+let numericValueOf = require('./utils').numericValueOf;
+
+// what to do with implausible measurements of a box
+const PLAUSIBILITY_MODES = ['reject', 'flag', 'off'];
+
+// the settings of sensors which are used by the checks
+const SENSOR_SETTINGS = ['minValue', 'maxValue', 'maxRateOfChange'];
+
+let hasPlausibilitySettings = function (sensor) {
+  return SENSOR_SETTINGS.some(setting => typeof sensor[setting] === 'number');
+};
+
+let rangeViolation = function (sensor, value) {
+  if (typeof sensor.minValue === 'number' && value < sensor.minValue) {
+    return 'is below minValue ' + sensor.minValue;
+  }
+  if (typeof sensor.maxValue === 'number' && value > sensor.maxValue) {
+    return 'is above maxValue ' + sensor.maxValue;
+  }
+};
+
+let rateViolation = function (sensor, previous, measurement, value) {
+  if (typeof sensor.maxRateOfChange !== 'number') {
+    return;
+  }
+  let previousValue = numericValueOf(previous);
+  if (typeof previousValue === 'undefined') {
+    return;
+  }
+  let minutes = (new Date(measurement.createdAt).getTime() - new Date(previous.createdAt).getTime()) / 60000;
+  if (minutes <= 0) {
+    return;
+  }
+  if (Math.abs(value - previousValue) / minutes > sensor.maxRateOfChange) {
+    return 'changed faster than maxRateOfChange ' + sensor.maxRateOfChange + ' per minute';
+  }
+};
+
+// returns an array of { measurement, reason } for all measurements violating
+// the settings of their sensor.
+// sensors and previousMeasurements are objects with sensor ids as keys.
+// previousMeasurements contains the last stored measurement of each sensor
+// and is used for the first rate of change check
+let findImplausibleMeasurements = function (sensors, measurements, previousMeasurements) {
+  let implausible = [],
+    measurementsBySensor = {};
+
+  for (let measurement of measurements) {
+    if (!measurementsBySensor[measurement.sensor_id]) {
+      measurementsBySensor[measurement.sensor_id] = [];
+    }
+    measurementsBySensor[measurement.sensor_id].push(measurement);
+  }
+
+  for (let sensorId of Object.keys(measurementsBySensor)) {
+    let sensor = sensors[sensorId];
+    if (!sensor) {
+      continue;
+    }
+
+    let sorted = measurementsBySensor[sensorId].slice()
+      .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+    let previous = previousMeasurements[sensorId];
+
+    for (let measurement of sorted) {
+      let value = numericValueOf(measurement);
+      if (typeof value === 'undefined') {
+        continue;
+      }
+
+      let reason = rangeViolation(sensor, value);
+      if (!reason && previous) {
+        reason = rateViolation(sensor, previous, measurement, value);
+      }
+
+      if (reason) {
+        implausible.push({ measurement: measurement, reason: reason });
+      } else {
+        previous = measurement;
+      }
+    }
+  }
+
+  return implausible;
+};
+
+// describes the implausible measurements for error messages
+let describe = function (implausible) {
+  let descriptions = implausible.slice(0, 10).map(function (i) {
+    return 'value ' + i.measurement.value + ' of sensor ' + i.measurement.sensor_id +
+      ' at ' + new Date(i.measurement.createdAt).toISOString() + ' ' + i.reason;
+  });
+  if (implausible.length > 10) {
+    descriptions.push('and ' + (implausible.length - 10) + ' more');
+  }
+  return implausible.length + ' implausible measurements: ' + descriptions.join(', ');
+};
+
+module.exports = {
+  PLAUSIBILITY_MODES: PLAUSIBILITY_MODES,
+  SENSOR_SETTINGS: SENSOR_SETTINGS,
+  hasPlausibilitySettings: hasPlausibilitySettings,
+  findImplausibleMeasurements: findImplausibleMeasurements,
+  describe: describe
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+// helpers for filtering and annotating measurements with their quality flags
+
+let Stream = require('stream'),
+  restify = require('restify'),
+  QUALITY_FLAGS = require('./models/qualityFlag').QUALITY_FLAGS;
+
+// the quality of measurements without flag
+const UNFLAGGED = 'unflagged';
+const QUALITIES = [UNFLAGGED].concat(QUALITY_FLAGS);
+
+// measurements stored with implausible: true (plausibilityMode flag)
+// are suspect, unless they have a flag
+const IMPLAUSIBLE_QUALITY = 'suspect';
+const IMPLAUSIBLE_REASON = 'implausible value';
+
+// the csv columns with the quality of measurements
+const QUALITY_COLUMNS = ['quality', 'qualityReason'];
+
+// shortcuts for the parameter quality
+const QUALITY_SHORTCUTS = {
+  all: QUALITIES,
+  flagged: QUALITY_FLAGS
+};
+
+// parses the parameter quality of a request. Accepts a comma separated list
+// of the qualities unflagged, suspect, invalid and corrected or one of the
+// shortcuts all and flagged. Defaults to all
+// returns the accepted qualities or an error
+let parseQualityParameter = function (req) {
+  let quality = req.params['quality'];
+  if (typeof quality === 'undefined' || quality.toString().trim() === '') {
+    return QUALITIES;
+  }
+
+  let accepted = [];
+  for (let q of quality.toString().toLowerCase().split(',')) {
+    q = q.trim();
+    if (QUALITY_SHORTCUTS[q]) {
+      accepted = accepted.concat(QUALITY_SHORTCUTS[q]);
+    } else if (QUALITIES.includes(q)) {
+      accepted.push(q);
+    } else {
+      return new restify.InvalidArgumentError('Invalid parameter quality. Allowed values are ' + QUALITIES.concat(Object.keys(QUALITY_SHORTCUTS)).join(', '));
+    }
+  }
+
+  return accepted;
+};
+
+// returns the quality columns if the parameter quality is given,
+// so csv downloads only contain them when they were asked for
+let qualityColumnsOf = function (req) {
+  let quality = req.params['quality'];
+  if (typeof quality === 'undefined' || quality.toString().trim() === '') {
+    return [];
+  }
+  return QUALITY_COLUMNS;
+};
+
+// returns the flag of the measurement. flagsBySensor contains the flags
+// of each sensor, the most recently created flags first. If a measurement
+// is covered by multiple flags, the most recent one is used
+let findFlag = function (flagsBySensor, measurement) {
+  let flags = flagsBySensor[measurement.sensor_id],
+    time = new Date(measurement.createdAt).getTime();
+
+  if (!flags) {
+    return;
+  }
+
+  return flags.find(function (flag) {
+    return flag.fromDate.getTime() <= time && flag.toDate.getTime() >= time;
+  });
+};
+
+// returns a transform stream setting quality and qualityReason of flagged
+// and implausible measurements and dropping all measurements with a quality
+// not accepted. Measurements need a sensor_id, for single sensors it can be
+// passed as sensorId
+let createQualityStream = function (flags, accepted, sensorId) {
+  let flagsBySensor = {};
+  for (let flag of flags) {
+    let id = flag.sensor_id.toString();
+    if (!flagsBySensor[id]) {
+      flagsBySensor[id] = [];
+    }
+    flagsBySensor[id].push(flag);
+  }
+
+  return new Stream.Transform({
+    objectMode: true,
+    transform: function (measurement, encoding, callback) {
+      let flag = findFlag(flagsBySensor, {
+        sensor_id: sensorId || measurement.sensor_id,
+        createdAt: measurement.createdAt
+      });
+
+      let implausible = measurement.implausible === true;
+      measurement.implausible = undefined;
+
+      if (!flag && implausible) {
+        flag = { flag: IMPLAUSIBLE_QUALITY, reason: IMPLAUSIBLE_REASON };
+      }
+
+      if (!accepted.includes(flag ? flag.flag : UNFLAGGED)) {
+        return callback();
+      }
+
+      if (flag) {
+        measurement.quality = flag.flag;
+        measurement.qualityReason = flag.reason;
+      }
+      callback(null, measurement);
+    }
+  });
+};
+
+module.exports = {
+  QUALITIES: QUALITIES,
+  parseQualityParameter: parseQualityParameter,
+  qualityColumnsOf: qualityColumnsOf,
+  createQualityStream: createQualityStream
+};
@@ -0,0 +1,142 @@
+'use strict';
+
+// resamples the measurements of several sensors onto a common time grid
+// with one value per sensor and interval
+
+let restify = require('restify'),
+  numericValueOf = require('./utils').numericValueOf;
+
+const FILL_STRATEGIES = ['none', 'previous', 'linear'];
+
+// the maximum number of intervals of a grid
+const MAX_GRID_SIZE = 10000;
+
+// parses the parameter fill, defaults to none
+let parseFill = function (req) {
+  let fill = req.params['fill'];
+  if (typeof fill === 'undefined' || fill.toString().trim() === '') {
+    return 'none';
+  }
+  fill = fill.toString().trim().toLowerCase();
+  if (!FILL_STRATEGIES.includes(fill)) {
+    return new restify.InvalidArgumentError('Invalid parameter fill. Allowed values are ' + FILL_STRATEGIES.join(', '));
+  }
+  return fill;
+};
+
+// returns the grid of intervals covering the time frame or an error if it
+// contains more than MAX_GRID_SIZE intervals. start is aligned to the interval
+let createGrid = function (fromDate, toDate, interval) {
+  let start = Math.floor(fromDate.getTime() / interval) * interval,
+    size = Math.floor((toDate.getTime() - start) / interval) + 1;
+
+  if (size > MAX_GRID_SIZE) {
+    return new restify.InvalidArgumentError('Too many intervals (' + size + '). Please use a larger interval or a shorter time frame (maximum ' + MAX_GRID_SIZE + ' intervals)');
+  }
+
+  return { start: start, interval: interval, size: size };
+};
+
+// reads the measurements from the stream and aggregates the numeric values of
+// each sensor and interval with the reducer. Measurements have to be ordered
+// ascending by createdAt. Resolves with an object with the sensor ids as keys
+// and arrays with one value (or null) per interval of the grid as values
+let collectOnGrid = function (stream, grid, sensorIds, reducer) {
+  let columns = {},
+    bucket,
+    values = {};
+
+  for (let sensorId of sensorIds) {
+    columns[sensorId] = new Array(grid.size).fill(null);
+  }
+
+  let flushBucket = function () {
+    for (let sensorId of Object.keys(values)) {
+      columns[sensorId][bucket] = reducer(values[sensorId]);
+    }
+    values = {};
+  };
+
+  return new Promise(function (resolve, reject) {
+    stream.on('data', function (measurement) {
+      let value = numericValueOf(measurement),
+        sensorId = measurement.sensor_id.toString(),
+        index = Math.floor((new Date(measurement.createdAt).getTime() - grid.start) / grid.interval);
+
+      if (typeof value === 'undefined' || !columns[sensorId] || index < 0 || index >= grid.size) {
+        return;
+      }
+
+      if (index !== bucket) {
+        flushBucket();
+        bucket = index;
+      }
+      if (!values[sensorId]) {
+        values[sensorId] = [];
+      }
+      values[sensorId].push(value);
+    });
+    stream.on('error', reject);
+    stream.on('end', function () {
+      flushBucket();
+      resolve(columns);
+    });
+  });
+};
+
+// fills the gaps (null) of the column in place. Gaps before the first value
+// are not filled. With fill previous, the last value is carried forward to
+// the end of the grid, linear fill leaves gaps after the last value
+let fillGaps = function (column, fill) {
+  if (fill === 'none') {
+    return column;
+  }
+
+  let previous = -1;
+  for (let i = 0; i < column.length; i++) {
+    if (column[i] === null) {
+      continue;
+    }
+    if (previous !== -1 && i - previous > 1) {
+      for (let j = previous + 1; j < i; j++) {
+        if (fill === 'previous') {
+          column[j] = column[previous];
+        } else {
+          column[j] = column[previous] + (column[i] - column[previous]) * (j - previous) / (i - previous);
+        }
+      }
+    }
+    previous = i;
+  }
+
+  if (fill === 'previous' && previous !== -1) {
+    // carry the last value forward to the end of the grid
+    for (let j = previous + 1; j < column.length; j++) {
+      column[j] = column[previous];
+    }
+  }
+
+  return column;
+};
+
+// returns one row per interval with createdAt and the values of the sensors
+let toRows = function (grid, columns, sensorIds) {
+  let rows = [];
+  for (let i = 0; i < grid.size; i++) {
+    let row = { createdAt: new Date(grid.start + i * grid.interval).toISOString() };
+    for (let sensorId of sensorIds) {
+      row[sensorId] = columns[sensorId][i];
+    }
+    rows.push(row);
+  }
+  return rows;
+};
+
+module.exports = {
+  FILL_STRATEGIES: FILL_STRATEGIES,
+  parseFill: parseFill,
+  createGrid: createGrid,
+  collectOnGrid: collectOnGrid,
+  fillGaps: fillGaps,
+  toRows: toRows
+};
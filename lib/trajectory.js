@@ -0,0 +1,71 @@
+'use strict';
+
+// GeoJSON output of the measurements of mobile boxes, either as
+// one point per measurement or as one LineString for the whole track
+
+let Stream = require('stream'),
+  restify = require('restify');
+
+const GEOMETRIES = ['point', 'linestring'];
+
+// parses the parameter geometry, defaults to point
+let parseGeometry = function (req) {
+  let geometry = req.params['geometry'];
+  if (typeof geometry === 'undefined' || geometry.toString().trim() === '') {
+    return 'point';
+  }
+  geometry = geometry.toString().trim().toLowerCase();
+  if (!GEOMETRIES.includes(geometry)) {
+    return new restify.InvalidArgumentError('Invalid parameter geometry. Allowed values are ' + GEOMETRIES.join(', '));
+  }
+  return geometry;
+};
+
+// returns a Point feature with createdAt and value as properties
+// or undefined if the measurement has no location
+let toPointFeature = function (measurement) {
+  if (!measurement.location) {
+    return;
+  }
+  return {
+    type: 'Feature',
+    geometry: measurement.location,
+    properties: { createdAt: measurement.createdAt, value: measurement.value }
+  };
+};
+
+// returns a transform stream which expects measurements ordered ascending by
+// createdAt and emits one LineString feature through their locations. The
+// properties createdAt and value contain one entry per position. Measurements
+// without location are skipped. With less than two positions, the geometry is null
+let createLineStringStream = function () {
+  let coordinates = [],
+    properties = { createdAt: [], value: [] };
+
+  return new Stream.Transform({
+    objectMode: true,
+    transform: function (measurement, encoding, callback) {
+      if (measurement.location) {
+        coordinates.push(measurement.location.coordinates);
+        properties.createdAt.push(measurement.createdAt);
+        properties.value.push(measurement.value);
+      }
+      callback();
+    },
+    flush: function (callback) {
+      this.push({
+        type: 'Feature',
+        geometry: coordinates.length < 2 ? null : { type: 'LineString', coordinates: coordinates },
+        properties: properties
+      });
+      callback();
+    }
+  });
+};
+
+module.exports = {
+  GEOMETRIES: GEOMETRIES,
+  parseGeometry: parseGeometry,
+  toPointFeature: toPointFeature,
+  createLineStringStream: createLineStringStream
+};
@@ -0,0 +1,176 @@
+'use strict';
+
+// registry of convertible units. Every unit belongs to a quantity and is
+// converted to the base unit of its quantity with base = value * factor + offset.
+// Phenomena define which quantity they are measured in (see lib/phenomena.js)
+
+let Stream = require('stream'),
+  restify = require('restify'),
+  phenomena = require('./phenomena'),
+  numericValueOf = require('./utils').numericValueOf;
+
+const UNITS = [
+  // temperature, base unit K
+  { id: '°C', quantity: 'temperature', factor: 1, offset: 273.15, aliases: ['C', 'degC', 'celsius'] },
+  { id: '°F', quantity: 'temperature', factor: 5 / 9, offset: 273.15 - 32 * 5 / 9, aliases: ['F', 'degF', 'fahrenheit'] },
+  { id: 'K', quantity: 'temperature', factor: 1, offset: 0, aliases: ['kelvin'] },
+  // pressure, base unit Pa
+  { id: 'Pa', quantity: 'pressure', factor: 1, offset: 0, aliases: ['pascal'] },
+  { id: 'hPa', quantity: 'pressure', factor: 100, offset: 0, aliases: [] },
+  { id: 'kPa', quantity: 'pressure', factor: 1000, offset: 0, aliases: [] },
+  { id: 'mbar', quantity: 'pressure', factor: 100, offset: 0, aliases: ['mb'] },
+  { id: 'bar', quantity: 'pressure', factor: 100000, offset: 0, aliases: [] },
+  { id: 'atm', quantity: 'pressure', factor: 101325, offset: 0, aliases: [] },
+  { id: 'inHg', quantity: 'pressure', factor: 3386.389, offset: 0, aliases: [] },
+  { id: 'mmHg', quantity: 'pressure', factor: 133.322387415, offset: 0, aliases: [] },
+  { id: 'psi', quantity: 'pressure', factor: 6894.757293168, offset: 0, aliases: [] },
+  // speed, base unit m/s
+  { id: 'm/s', quantity: 'speed', factor: 1, offset: 0, aliases: ['mps'] },
+  { id: 'km/h', quantity: 'speed', factor: 1 / 3.6, offset: 0, aliases: ['kmh', 'kph'] },
+  { id: 'mph', quantity: 'speed', factor: 0.44704, offset: 0, aliases: [] },
+  { id: 'kn', quantity: 'speed', factor: 1852 / 3600, offset: 0, aliases: ['kt', 'knots'] },
+  { id: 'ft/s', quantity: 'speed', factor: 0.3048, offset: 0, aliases: [] },
+  // illuminance, base unit lx
+  { id: 'lx', quantity: 'illuminance', factor: 1, offset: 0, aliases: ['lux'] },
+  { id: 'fc', quantity: 'illuminance', factor: 10.763910417, offset: 0, aliases: ['footcandle'] }
+];
+
+let unitsByName = {},
+  unitsByLowerCaseName = {};
+for (let unit of UNITS) {
+  for (let name of [unit.id].concat(unit.aliases)) {
+    unitsByName[name] = unit;
+    unitsByLowerCaseName[name.toLowerCase()] = unit;
+  }
+}
+
+// returns the unit with the given id or alias. Case is only
+// ignored if there is no unit matching exactly
+let findUnit = function (name) {
+  if (typeof name === 'undefined' || name === null) {
+    return;
+  }
+  name = name.toString().trim();
+  return unitsByName[name] || unitsByLowerCaseName[name.toLowerCase()];
+};
+
+// the quantity of the phenomenon of the sensor or of its unit
+let quantityOf = function (sensor) {
+  let phenomenon = phenomena.findPhenomenon(phenomena.phenomenonIdOf(sensor));
+  if (phenomenon) {
+    return phenomenon.quantity;
+  }
+  let unit = findUnit(sensor.unit);
+  if (unit) {
+    return unit.quantity;
+  }
+};
+
+// parses the comma separated list of target units in the parameter unit
+// returns undefined if the parameter is not given, the units or an error
+let parseUnitParameter = function (req) {
+  let unitParam = req.params['unit'];
+  if (typeof unitParam === 'undefined' || unitParam.toString().trim() === '') {
+    return;
+  }
+
+  let targetUnits = [];
+  for (let name of unitParam.toString().split(',')) {
+    let unit = findUnit(name);
+    if (!unit) {
+      return new restify.UnprocessableEntityError('Unsupported unit ' + name.trim() + '. Supported units are ' + UNITS.map(u => u.id).join(', '));
+    }
+    if (targetUnits.some(u => u.quantity === unit.quantity)) {
+      return new restify.UnprocessableEntityError('Only one unit per quantity can be requested');
+    }
+    targetUnits.push(unit);
+  }
+
+  return targetUnits;
+};
+
+let round = function (value) {
+  // remove floating point noise of the conversion
+  return parseFloat(value.toPrecision(12));
+};
+
+let createConvertFunction = function (from, to) {
+  if (from === to) {
+    return value => value;
+  }
+  return function (value) {
+    return round(((value * from.factor + from.offset) - to.offset) / to.factor);
+  };
+};
+
+// returns an object with a converter for each sensor which is measured in the
+// quantity of one of the target units. Sensors are passed as object with their
+// ids as keys. Each converter has the target unit and a function convert.
+// Returns an error if a sensor cannot be converted or if a target unit
+// is not applicable to any of the sensors
+let createConverters = function (sensors, targetUnits) {
+  let converters = {},
+    usedUnits = [];
+
+  for (let sensorId of Object.keys(sensors)) {
+    let sensor = sensors[sensorId],
+      quantity = quantityOf(sensor),
+      target = targetUnits.find(u => u.quantity === quantity);
+
+    if (!target) {
+      continue;
+    }
+
+    let source = findUnit(sensor.unit);
+    if (!source || source.quantity !== quantity) {
+      return new restify.UnprocessableEntityError('Unit ' + sensor.unit + ' of sensor ' + sensorId + ' cannot be converted to ' + target.id);
+    }
+
+    converters[sensorId] = { unit: target.id, convert: createConvertFunction(source, target) };
+    if (!usedUnits.includes(target)) {
+      usedUnits.push(target);
+    }
+  }
+
+  let unusedUnit = targetUnits.find(u => !usedUnits.includes(u));
+  if (unusedUnit) {
+    return new restify.UnprocessableEntityError('Cannot convert the measurements of the requested sensors to ' + unusedUnit.id);
+  }
+
+  return converters;
+};
+
+// converts the numeric value of the measurement in place. Non-numeric
+// values are not changed
+let convertMeasurement = function (measurement, converter) {
+  let value = numericValueOf(measurement);
+  if (typeof value !== 'undefined') {
+    measurement.numericValue = converter.convert(value);
+  }
+  return measurement;
+};
+
+// returns a transform stream converting the numeric values of measurements
+// with the converters of their sensors. For single sensors, the id can
+// be passed as sensorId if the measurements do not contain a sensor_id
+let createConversionStream = function (converters, sensorId) {
+  return new Stream.Transform({
+    objectMode: true,
+    transform: function (measurement, encoding, callback) {
+      let converter = converters[sensorId || measurement.sensor_id];
+      if (converter) {
+        convertMeasurement(measurement, converter);
+      }
+      callback(null, measurement);
+    }
+  });
+};
+
+module.exports = {
+  UNITS: UNITS,
+  findUnit: findUnit,
+  parseUnitParameter: parseUnitParameter,
+  createConverters: createConverters,
+  convertMeasurement: convertMeasurement,
+  createConversionStream: createConversionStream
+};
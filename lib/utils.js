@@ -3,6 +3,7 @@
 let cfg = require('../config'),
   moment = require('moment'),
   restify = require('restify'),
+  url = require('url'),
   mongoose = require('mongoose');
 
 let Honeybadger = {
@@ -30,6 +31,63 @@ let sanitizeString = function (str) {
   return str.trim();
 };
 
+// parses a measurement value into a number. Accepts numbers and strings
+// with an optional sign, exponent, decimal comma and trailing unit
+// like '+1.5e3', '12,3' or '21.4 °C'.
+// returns null if the value is not numeric
+let numericValueRegex = /^([+-]?(?:\d+(?:[.,]\d*)?|[.,]\d+)(?:e[+-]?\d+)?)\s*[^\d\s.,+-]*$/i;
+let parseNumericValue = function (value) {
+  if (typeof value === 'number') {
+    return isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  let match = numericValueRegex.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  let number = Number(match[1].replace(',', '.'));
+  return isFinite(number) ? number : null;
+};
+
+// returns the numeric value of a measurement or undefined if it is not numeric.
+// Uses the field numericValue if available, otherwise tries to parse the value
+let numericValueOf = function (measurement) {
+  let value = measurement.numericValue;
+  if (typeof value !== 'number') {
+    value = parseNumericValue(measurement.value);
+  }
+  if (value !== null) {
+    return value;
+  }
+};
+
+// parses a location given as object with lat, lng and
+// optional height or as array [lng, lat, height]
+// returns a GeoJSON Point or undefined if the location is not valid
+let parseLocation = function (location) {
+  let coordinates = location;
+  if (!Array.isArray(location)) {
+    coordinates = [location.lng, location.lat];
+    if (typeof location.height !== 'undefined' && location.height !== null && location.height !== '') {
+      coordinates.push(location.height);
+    }
+  }
+
+  if (coordinates.length < 2 || coordinates.length > 3) {
+    return;
+  }
+  coordinates = coordinates.map(c => (typeof c === 'string' && c.trim() !== '') ? Number(c) : c);
+  if (coordinates.some(c => typeof c !== 'number' || !isFinite(c)) ||
+    coordinates[0] < -180 || coordinates[0] > 180 || coordinates[1] < -90 || coordinates[1] > 90) {
+    return;
+  }
+
+  return { type: 'Point', coordinates: coordinates };
+};
+
 // checks if the timestamp is not too far in the future
 // returns true or false
 let timeIsValid = function (timestamp) {
@@ -62,7 +120,32 @@ let parseTimeParameter = function (req, next, paramName, defaultValue) {
   return parsedTime;
 };
 
-let validateTimeParameters = function (toDate, fromDate) {
+// parses the parameter date of findAllBoxes: either a time frame given as
+// two comma separated timestamps or a single timestamp, which is extended
+// to 4 hours before and after it.
+// returns an object with fromDate and toDate or undefined if it is not valid
+let parseDateWindow = function (dateParam) {
+  let dates;
+  if ((dates = dateParam.split(',')) && dates.length === 2 && moment(dates[0]).isBefore(dates[1])) { // moment().isBefore() will check the date's validities as well
+    return {
+      fromDate: moment.utc(dates[0]).toDate(),
+      toDate: moment.utc(dates[1]).toDate()
+    };
+  } else if (moment(dateParam).isValid()) {
+    return {
+      fromDate: moment.utc(dateParam).subtract(4, 'hours').toDate(),
+      toDate: moment.utc(dateParam).add(4, 'hours').toDate()
+    };
+  }
+};
+
+// validates the time frame given by toDate and fromDate.
+// maxDays defaults to 31 days, use Infinity to allow arbitrary time frames
+let validateTimeParameters = function (toDate, fromDate, maxDays) {
+  if (typeof maxDays === 'undefined') {
+    maxDays = 31;
+  }
+
   var now = moment().utc();
   if (toDate.isAfter(now)) {
     return new restify.InvalidArgumentError('Invalid time frame specified: to-date is in the future');
@@ -75,9 +158,39 @@ let validateTimeParameters = function (toDate, fromDate) {
     return new restify.InvalidArgumentError('Invalid time frame specified: from-date (' + fromDate.format() + ') is after to-date (' + toDate.format() + ')');
   }
 
-  if (Math.abs(toDate.diff(fromDate, 'days')) > 31) {
-    return new restify.InvalidArgumentError('Please choose a time frame up to 31 days maximum');
+  if (Math.abs(toDate.diff(fromDate, 'days')) > maxDays) {
+    return new restify.InvalidArgumentError('Please choose a time frame up to ' + maxDays + ' days maximum');
+  }
+};
+
+// parses the pagination parameters limit and cursor.
+// cursor is the id of the last document of the previous page
+// returns an object with limit and cursor or an error
+let parsePaginationParameters = function (req, maxLimit) {
+  let pagination = {};
+
+  let limit = req.params['limit'];
+  if (typeof limit !== 'undefined' && limit.toString().trim() !== '') {
+    limit = Number(limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+      return new restify.InvalidArgumentError('Parameter limit must be an integer between 1 and ' + maxLimit);
+    }
+    pagination.limit = limit;
+  }
+
+  let cursor = req.params['cursor'];
+  if (typeof cursor !== 'undefined' && cursor.toString().trim() !== '') {
+    if (typeof pagination.limit === 'undefined') {
+      return new restify.InvalidArgumentError('Parameter cursor can only be used together with limit');
+    }
+    cursor = cursor.toString().trim();
+    if (!mongoose.Types.ObjectId.isValid(cursor)) {
+      return new restify.InvalidArgumentError('Parameter cursor is not valid');
+    }
+    pagination.cursor = cursor;
   }
+
+  return pagination;
 };
 
 // use this function to retry if a connection cannot be established immediately
@@ -94,6 +207,23 @@ let connectWithRetry = function (success) {
   });
 };
 
+// POST /boxes/:boxId/data and /boxes/:boxId/:sensorId for arduinos, which cannot use https
+const UNSECURED_PATH_REGEX = /^\/boxes\/[a-f\d]{24}\/((data)|([a-f\d]{24}))\/?$/i;
+
+// We're using caddy as proxy. It supplies a 'X-Forwarded-Proto' header
+// which contains the request scheme (http/https). In production, requests
+// through http are only allowed for uploads of measurements. The query string
+// is not part of the checked path, as devices may send their token in it
+// returns an error if the request is not allowed
+let checkUnsecuredRequest = function (req) {
+  if (process.env.ENV !== 'prod' || req.headers['x-forwarded-proto'] === 'https') {
+    return;
+  }
+  if (req.method !== 'POST' || !UNSECURED_PATH_REGEX.test(url.parse(req.url).pathname)) {
+    return new restify.NotAuthorizedError('Access through http is not allowed');
+  }
+};
+
 let checkContentType = function (req, next) {
   if (!req.is('json')) {
     next(new restify.UnsupportedMediaTypeError('Unsupported content-type. Try application/json'));
@@ -106,9 +236,15 @@ module.exports = {
   parseTimestamp: parseTimestamp,
   timeIsValid: timeIsValid,
   sanitizeString: sanitizeString,
+  parseNumericValue: parseNumericValue,
+  numericValueOf: numericValueOf,
+  parseLocation: parseLocation,
   utcNowDate: utcNowDate,
   parseTimeParameter: parseTimeParameter,
+  parseDateWindow: parseDateWindow,
   validateTimeParameters: validateTimeParameters,
+  parsePaginationParameters: parsePaginationParameters,
   connectWithRetry: connectWithRetry,
-  checkContentType: checkContentType
+  checkContentType: checkContentType,
+  checkUnsecuredRequest: checkUnsecuredRequest
 };
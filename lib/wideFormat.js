@@ -0,0 +1,127 @@
+'use strict';
+
+// helpers for the wide layout of measurement downloads: one row per box and
+// timestamp with one column per phenomenon instead of one row per measurement
+
+let Stream = require('stream'),
+  restify = require('restify'),
+  phenomena = require('./phenomena'),
+  locationHistory = require('./locationHistory'),
+  numericValueOf = require('./utils').numericValueOf;
+
+const LAYOUTS = ['long', 'wide'];
+
+// columns taken from the box, the phenomenon columns are appended
+const DEFAULT_BOX_COLUMNS = ['createdAt', 'boxId', 'lat', 'lng'];
+const ALLOWED_BOX_COLUMNS = ['createdAt', 'boxId', 'boxName', 'lat', 'lng'];
+
+// timestamps are aligned to full seconds if no interval is given
+const DEFAULT_INTERVAL = 1000;
+
+// parses a comma separated list of box columns
+// returns the columns or an error if a column is not allowed
+let parseBoxColumns = function (columnsParam) {
+  if (typeof columnsParam === 'undefined' || columnsParam.toString().trim() === '') {
+    return DEFAULT_BOX_COLUMNS;
+  }
+  let columns = columnsParam.toString().split(',');
+  if (columns.some(c => !ALLOWED_BOX_COLUMNS.includes(c))) {
+    return new restify.UnprocessableEntityError('illegal columns. Allowed columns for layout wide are ' + ALLOWED_BOX_COLUMNS.join(', '));
+  }
+  return columns;
+};
+
+// sets the column of each sensor to the id of the first matching requested
+// phenomenon (or the phenomenon as given for unknown phenomena)
+// returns the phenomenon columns in the order of the requested phenomena
+let assignPhenomenonColumns = function (sensors, requestedPhenomena) {
+  let columns = requestedPhenomena.map(function (p) {
+    let phenomenon = phenomena.findPhenomenon(p);
+    return phenomenon ? phenomenon.id : p;
+  });
+
+  for (let sensorId of Object.keys(sensors)) {
+    let sensor = sensors[sensorId],
+      index = requestedPhenomena.findIndex(p => phenomena.sensorMatches(sensor, p));
+    sensor.column = columns[index];
+  }
+
+  return columns.filter((column, index) => columns.indexOf(column) === index);
+};
+
+// returns a transform stream which expects measurements ordered ascending by
+// createdAt and emits one row per box and interval. The rows contain the box
+// columns and the values of the sensors in their column. Without reducer, the
+// last value of each interval is used. With reducer, the numeric values of
+// each interval are aggregated and non-numeric values are skipped
+let createWideStream = function (sensors, interval, reducer) {
+  let bucketStart, rows = {};
+  interval = interval || DEFAULT_INTERVAL;
+
+  let pushRows = function (stream) {
+    for (let boxId of Object.keys(rows).sort()) {
+      let row = rows[boxId].row,
+        values = rows[boxId].values;
+      for (let column of Object.keys(values)) {
+        row[column] = reducer ? reducer(values[column]) : values[column][values[column].length - 1];
+      }
+      stream.push(row);
+    }
+    rows = {};
+  };
+
+  return new Stream.Transform({
+    objectMode: true,
+    transform: function (measurement, encoding, callback) {
+      let sensor = sensors[measurement.sensor_id],
+        value = numericValueOf(measurement);
+
+      if (typeof value === 'undefined') {
+        if (reducer) {
+          return callback();
+        }
+        value = measurement.value;
+      }
+
+      let start = Math.floor(new Date(measurement.createdAt).getTime() / interval) * interval;
+      if (start !== bucketStart) {
+        pushRows(this);
+        bucketStart = start;
+      }
+
+      if (!rows[sensor.boxId]) {
+        // the location of the box at the start of the row
+        let location = sensor.locations
+          ? locationHistory.locationAt(sensor.locations, start)
+          : [sensor.lng, sensor.lat];
+        rows[sensor.boxId] = {
+          row: {
+            createdAt: new Date(start).toISOString(),
+            boxId: sensor.boxId,
+            boxName: sensor.boxName,
+            lat: location[1],
+            lng: location[0]
+          },
+          values: {}
+        };
+      }
+      let values = rows[sensor.boxId].values;
+      if (!values[sensor.column]) {
+        values[sensor.column] = [];
+      }
+      values[sensor.column].push(value);
+      callback();
+    },
+    flush: function (callback) {
+      pushRows(this);
+      callback();
+    }
+  });
+};
+
+module.exports = {
+  LAYOUTS: LAYOUTS,
+  parseBoxColumns: parseBoxColumns,
+  assignPhenomenonColumns: assignPhenomenonColumns,
+  createWideStream: createWideStream
+};
@@ -3,4 +3,18 @@ exports.senseboxphotonikwifi = require('./sensebox.photonik.wifi.js');
 exports.senseboxphotonikethernet = require('./sensebox.photonik.ethernet.js');
 
 exports.senseboxhome = require('./sensebox.home.js');
-exports.senseboxbasic = require('./sensebox.basic.js');
\ No newline at end of file
+exports.senseboxbasic = require('./sensebox.basic.js');
+
+// returns the sensor definition of any product with the given sensorType and title
+exports.findSensorDefinition = function (sensorType, title) {
+  for (var key of Object.keys(exports)) {
+    if (Array.isArray(exports[key])) {
+      var definition = exports[key].find(function (sensor) {
+        return sensor.sensorType === sensorType && sensor.title === title;
+      });
+      if (definition) {
+        return definition;
+      }
+    }
+  }
+};
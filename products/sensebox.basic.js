@@ -3,31 +3,40 @@ var SENSORS = [
     title: 'Temperatur',
     unit: '°C',
     sensorType: 'HDC1008',
-    icon: 'osem-thermometer'
+    icon: 'osem-thermometer',
+    minValue: -40,
+    maxValue: 125
   },
   {
     title: 'rel. Luftfeuchte',
     unit: '%',
     sensorType: 'HDC1008',
-    icon: 'osem-humidity'
+    icon: 'osem-humidity',
+    minValue: 0,
+    maxValue: 100
   },
   {
     title: 'Luftdruck',
     unit: 'hPa',
     sensorType: 'BMP280',
-    icon: 'osem-barometer'
+    icon: 'osem-barometer',
+    minValue: 300,
+    maxValue: 1100
   },
   {
     title: 'Beleuchtungsstärke',
     unit: 'lx',
     sensorType: 'TSL45315',
-    icon: 'osem-brightness'
+    icon: 'osem-brightness',
+    minValue: 0,
+    maxValue: 220000
   },
   {
     title: 'UV-Intensität',
     unit: 'μW/cm²',
     sensorType: 'VEML6070',
-    icon: 'osem-brightness'
+    icon: 'osem-brightness',
+    minValue: 0
   }
 ];
 
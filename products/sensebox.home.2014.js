@@ -3,19 +3,25 @@ var SENSORS = [
     title: 'Temperatur',
     unit: '°C',
     sensorType: 'BMP085',
-    icon: 'osem-thermometer'
+    icon: 'osem-thermometer',
+    minValue: -40,
+    maxValue: 85
   },
   {
     title: 'rel. Luftfeuchte',
     unit: '%',
     sensorType: 'DHT11',
-    icon: 'osem-humidity'
+    icon: 'osem-humidity',
+    minValue: 0,
+    maxValue: 100
   },
   {
     title: 'Luftdruck',
     unit: 'Pa',
     sensorType: 'BMP085',
-    icon: 'osem-barometer'
+    icon: 'osem-barometer',
+    minValue: 30000,
+    maxValue: 110000
   },
   {
     title: 'Lautstärke',
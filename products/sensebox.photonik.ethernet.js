@@ -3,31 +3,40 @@ var SENSORS = [
     title: 'Temperatur',
     unit: '°C',
     sensorType: 'DHT11',
-    icon: 'osem-thermometer'
+    icon: 'osem-thermometer',
+    minValue: 0,
+    maxValue: 50
   },
   {
     title: 'rel. Luftfeuchte',
     unit: '%',
     sensorType: 'DHT11',
-    icon: 'osem-humidity'
+    icon: 'osem-humidity',
+    minValue: 0,
+    maxValue: 100
   },
   {
     title: 'Luftdruck',
     unit: 'Pa',
     sensorType: 'BMP085',
-    icon: 'osem-barometer'
+    icon: 'osem-barometer',
+    minValue: 30000,
+    maxValue: 110000
   },
   {
     title: 'Beleuchtungsstärke',
     unit: 'lx',
     sensorType: 'TSL2561',
-    icon: 'osem-brightness'
+    icon: 'osem-brightness',
+    minValue: 0,
+    maxValue: 40000
   },
   {
     title: 'UV',
     unit: 'µW/cm²',
     sensorType: 'GUVA-S12D',
-    icon: 'osem-brightness'
+    icon: 'osem-brightness',
+    minValue: 0
   }
 ];
 
@@ -4,6 +4,7 @@ let chakram = require('chakram'),
 
 const BASE_URL = 'http://localhost:8000',
   valid_sensebox = require('./data/valid_sensebox'),
+  randomApiKey = require('./data/randomApiKey'),
   senseBoxSchema = require('./data/senseBoxSchema'),
   senseBoxCreateSchema = require('./data/senseBoxCreateSchema');
 
@@ -53,8 +54,655 @@ describe('openSenseMap API', function () {
         });
     });
 
+    it('should return the senseBox when filtering with a bbox containing it', function () {
+      let response = chakram.get(BASE_URL + '/boxes?bbox=-40,47,-39,48');
+      expect(response).to.have.status(200);
+      expect(response).to.have.json(function (json) {
+        expect(json).to.have.lengthOf(1);
+        expect(json[0]._id).to.equal(boxId);
+      });
+      return chakram.wait();
+    });
+
+    it('should return no senseBox when filtering with a bbox not containing it', function () {
+      let response = chakram.get(BASE_URL + '/boxes?bbox=7.5,51.9,7.7,52.0&format=geojson');
+      expect(response).to.have.status(200);
+      expect(response).to.comprise.of.json({ type: 'FeatureCollection', features: [] });
+      return chakram.wait();
+    });
+
+    it('should return the senseBox when filtering with near and maxDistance', function () {
+      let response = chakram.get(BASE_URL + '/boxes?near=-39.2,47.75&maxDistance=1000');
+      expect(response).to.have.status(200);
+      expect(response).to.have.json(function (json) {
+        expect(json).to.have.lengthOf(1);
+      });
+      return chakram.wait();
+    });
+
+    it('should return the senseBox when filtering with a polygon via POST', function () {
+      let polygon = {
+        type: 'Polygon',
+        coordinates: [[[-40, 47], [-39, 47], [-39, 48], [-40, 48], [-40, 47]]]
+      };
+      return chakram.post(BASE_URL + '/boxes/within', { polygon: polygon })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body).to.have.lengthOf(1);
+        });
+    });
+
+    it('should return 409 error on pagination when filtering with a polygon via POST', function () {
+      let polygon = {
+        type: 'Polygon',
+        coordinates: [[[-40, 47], [-39, 47], [-39, 48], [-40, 48], [-40, 47]]]
+      };
+      let response = chakram.post(BASE_URL + '/boxes/within', { polygon: polygon, limit: 1 });
+      expect(response).to.have.status(409);
+      return chakram.wait();
+    });
+
+    it('should return the senseBox when filtering by exposure and model', function () {
+      let response = chakram.get(BASE_URL + '/boxes?exposure=indoor&model=homeEthernet,homeWifi');
+      expect(response).to.have.status(200);
+      expect(response).to.have.json(function (json) {
+        expect(json).to.have.lengthOf(1);
+      });
+      return chakram.wait();
+    });
+
+    it('should return no senseBox when filtering by another exposure', function () {
+      let response = chakram.get(BASE_URL + '/boxes?exposure=outdoor');
+      expect(response).to.have.status(200);
+      expect(response).to.comprise.of.json([]);
+      return chakram.wait();
+    });
+
+    it('should return the senseBox when searching for its name', function () {
+      let response = chakram.get(BASE_URL + '/boxes?q=senseBox');
+      expect(response).to.have.status(200);
+      expect(response).to.have.json(function (json) {
+        expect(json).to.have.lengthOf(1);
+      });
+      return chakram.wait();
+    });
+
+    it('should return the senseBox paginated without a next link', function () {
+      let response = chakram.get(BASE_URL + '/boxes?limit=1');
+      expect(response).to.have.status(200);
+      expect(response).not.to.have.header('link');
+      expect(response).to.have.json(function (json) {
+        expect(json).to.have.lengthOf(1);
+      });
+      return chakram.wait();
+    });
+
+    it('should return an empty page after the last senseBox', function () {
+      let response = chakram.get(BASE_URL + '/boxes?limit=1&cursor=' + boxId + '&format=geojson');
+      expect(response).to.have.status(200);
+      expect(response).to.comprise.of.json({ type: 'FeatureCollection', features: [] });
+      return chakram.wait();
+    });
+
+    let sensorId;
+
+    it('should allow to post measurements and aggregate them', function () {
+      return chakram.get(BASE_URL + '/boxes/' + boxId)
+        .then(function (response) {
+          sensorId = response.body.sensors[0]._id;
+          let now = Date.now();
+          return chakram.post(BASE_URL + '/boxes/' + boxId + '/data', [
+            { sensor: sensorId, value: '10', createdAt: new Date(now - 3000).toISOString() },
+            { sensor: sensorId, value: 'abc', createdAt: new Date(now - 2000).toISOString() },
+            { sensor: sensorId, value: '20', createdAt: new Date(now - 1000).toISOString() }
+          ]);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          return chakram.get(BASE_URL + '/boxes/' + boxId + '/data/' + sensorId + '?aggregate=count&interval=1d');
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          let count = response.body.reduce((sum, bucket) => sum + bucket.value, 0);
+          expect(count).to.equal(2);
+        });
+    });
+
+    it('should return numeric values as numbers', function () {
+      let response = chakram.get(BASE_URL + '/boxes/' + boxId + '/data/' + sensorId);
+      expect(response).to.have.status(200);
+      expect(response).to.have.json(function (json) {
+        let values = json.map(m => m.value);
+        expect(values).to.include.members([10, 20, 'abc']);
+      });
+      return chakram.wait();
+    });
+
+    it('should return 409 error on invalid aggregate parameter', function () {
+      let response = chakram.get(BASE_URL + '/boxes/' + boxId + '/data/' + sensorId + '?aggregate=potato&interval=1h');
+      expect(response).to.have.status(409);
+      return chakram.wait();
+    });
+
+    it('should allow to create an export job and get its status', function () {
+      return chakram.post(BASE_URL + '/exports', {
+        boxIds: [boxId],
+        phenomena: ['Temperatur'],
+        'from-date': '2016-01-01T00:00:00Z',
+        format: 'ndjson'
+      })
+        .then(function (response) {
+          expect(response).to.have.status(202);
+          expect(response).to.have.header('location');
+          expect(response.body.status).to.equal('pending');
+          return chakram.get(BASE_URL + '/exports/' + response.body._id);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body.format).to.equal('ndjson');
+        });
+    });
+
+    it('should allow to request the same senseBox twice for an export job', function () {
+      let response = chakram.post(BASE_URL + '/exports', { boxIds: [boxId, boxId], phenomena: ['Temperatur'] });
+      expect(response).to.have.status(202);
+      return chakram.wait();
+    });
+
+    it('should return 409 error on invalid export format', function () {
+      let response = chakram.post(BASE_URL + '/exports', { boxIds: [boxId], format: 'potato' });
+      expect(response).to.have.status(409);
+      return chakram.wait();
+    });
+
+    it('should deny to delete measurements without apikey', function () {
+      let response = chakram.delete(BASE_URL + '/boxes/' + boxId + '/' + sensorId + '/measurements?from-date=2000-01-01T00:00:00Z&to-date=' + new Date().toISOString());
+      expect(response).to.have.status(403);
+      return chakram.wait();
+    });
+
+    it('should allow to delete measurements of a time frame', function () {
+      return chakram.delete(BASE_URL + '/boxes/' + boxId + '/' + sensorId + '/measurements', {
+        'from-date': '2000-01-01T00:00:00Z',
+        'to-date': new Date().toISOString()
+      }, { headers: { 'x-apikey': apiKey } })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          return chakram.get(BASE_URL + '/boxes/' + boxId + '/sensors');
+        })
+        .then(function (response) {
+          let sensor = response.body.sensors.find(s => s._id === sensorId);
+          expect(sensor.lastMeasurement).to.be.undefined;
+        });
+    });
+
+    it('should reject implausible measurements', function () {
+      return chakram.get(BASE_URL + '/boxes/' + boxId)
+        .then(function (response) {
+          let pressureSensor = response.body.sensors.find(s => s.title === 'Luftdruck');
+          expect(pressureSensor.minValue).to.equal(300);
+          return chakram.post(BASE_URL + '/boxes/' + boxId + '/' + pressureSensor._id, { value: 0 });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(422);
+        });
+    });
+
+    it('should save the plausible measurements of an upload with implausible ones', function () {
+      return chakram.get(BASE_URL + '/boxes/' + boxId)
+        .then(function (response) {
+          let pressureSensor = response.body.sensors.find(s => s.title === 'Luftdruck');
+          return chakram.post(BASE_URL + '/boxes/' + boxId + '/data', [
+            { sensor: pressureSensor._id, value: '0', createdAt: new Date(Date.now() - 20000).toISOString() },
+            { sensor: pressureSensor._id, value: '1013', createdAt: new Date(Date.now() - 10000).toISOString() }
+          ]);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          expect(response.body).to.contain('1 measurements saved in box, rejected 1 implausible measurements');
+        });
+    });
+
+    it('should refuse an invalid plausibilityMode', function () {
+      let response = chakram.put(BASE_URL + '/boxes/' + boxId, { plausibilityMode: 'potato' }, { headers: { 'x-apikey': apiKey } });
+      expect(response).to.have.status(422);
+      return chakram.wait();
+    });
+
+    it('should store flagged implausible measurements as suspect without showing them as lastMeasurement', function () {
+      let pressureSensor;
+      return chakram.put(BASE_URL + '/boxes/' + boxId, { plausibilityMode: 'flag' }, { headers: { 'x-apikey': apiKey } })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          pressureSensor = response.body.sensors.find(s => s.title === 'Luftdruck');
+          return chakram.post(BASE_URL + '/boxes/' + boxId + '/' + pressureSensor._id, { value: 0 });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          return chakram.get(BASE_URL + '/boxes/' + boxId + '/data/' + pressureSensor._id + '?quality=suspect');
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body).to.have.lengthOf(1);
+          expect(response.body[0].value).to.equal(0);
+          expect(response.body[0].quality).to.equal('suspect');
+          return chakram.get(BASE_URL + '/boxes/' + boxId);
+        })
+        .then(function (response) {
+          let sensor = response.body.sensors.find(s => s._id === pressureSensor._id);
+          expect(sensor.lastMeasurement.value).to.equal('1013');
+          return chakram.put(BASE_URL + '/boxes/' + boxId, { plausibilityMode: 'reject' }, { headers: { 'x-apikey': apiKey } });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+        });
+    });
+
+    it('should skip measurements which are already stored', function () {
+      let measurement = { sensor: sensorId, value: '15', createdAt: new Date(Date.now() - 5000).toISOString() };
+      return chakram.post(BASE_URL + '/boxes/' + boxId + '/data', [measurement])
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          return chakram.post(BASE_URL + '/boxes/' + boxId + '/data', [measurement, measurement]);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          expect(response.body).to.equal('0 measurements saved in box, 2 duplicates skipped');
+        });
+    });
+
+    let flagId;
+
+    it('should allow to flag measurements of a time frame', function () {
+      return chakram.post(BASE_URL + '/boxes/' + boxId + '/' + sensorId + '/flags', {
+        flag: 'invalid',
+        reason: 'sensor was covered',
+        'from-date': new Date(Date.now() - 10000).toISOString(),
+        'to-date': new Date().toISOString()
+      }, { headers: { 'x-apikey': apiKey } })
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          expect(response.body.flag).to.equal('invalid');
+          flagId = response.body._id;
+          return chakram.get(BASE_URL + '/boxes/' + boxId + '/' + sensorId + '/flags');
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body).to.have.lengthOf(1);
+          return chakram.get(BASE_URL + '/boxes/' + boxId + '/data/' + sensorId);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body[0].quality).to.equal('invalid');
+          expect(response.body[0].qualityReason).to.equal('sensor was covered');
+          return chakram.get(BASE_URL + '/boxes/' + boxId + '/data/' + sensorId + '?quality=unflagged');
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body).to.have.lengthOf(0);
+        });
+    });
+
+    it('should deny to flag measurements without apikey', function () {
+      let response = chakram.post(BASE_URL + '/boxes/' + boxId + '/' + sensorId + '/flags', { flag: 'suspect', reason: 'test', measurementId: boxId });
+      expect(response).to.have.status(403);
+      return chakram.wait();
+    });
+
+    it('should return 409 error on invalid quality parameter', function () {
+      let response = chakram.get(BASE_URL + '/boxes/' + boxId + '/data/' + sensorId + '?quality=potato');
+      expect(response).to.have.status(409);
+      return chakram.wait();
+    });
+
+    it('should allow to delete a flag', function () {
+      return chakram.delete(BASE_URL + '/boxes/' + boxId + '/' + sensorId + '/flags/' + flagId, {}, { headers: { 'x-apikey': apiKey } })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          return chakram.get(BASE_URL + '/boxes/' + boxId + '/' + sensorId + '/flags');
+        })
+        .then(function (response) {
+          expect(response.body).to.have.lengthOf(0);
+        });
+    });
+
+    it('should return the latest measurements of a phenomenon', function () {
+      return chakram.get(BASE_URL + '/boxes/' + boxId)
+        .then(function (response) {
+          let sensor = response.body.sensors.find(s => s._id === sensorId);
+          return chakram.get(BASE_URL + '/boxes/latest?phenomenon=' + encodeURIComponent(sensor.title));
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body).to.have.lengthOf(1);
+          expect(response.body[0].sensorId).to.equal(sensorId);
+          expect(response.body[0].value).to.equal(15);
+          return chakram.get(BASE_URL + '/boxes/latest?phenomenon=Temperatur&format=geojson');
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body.type).to.equal('FeatureCollection');
+        });
+    });
+
+    it('should match sensor titles regardless of case', function () {
+      return chakram.get(BASE_URL + '/boxes/latest?phenomenon=temperatur')
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          let lowerCaseResult = response.body;
+          return chakram.get(BASE_URL + '/boxes/latest?phenomenon=Temperatur')
+            .then(function (response) {
+              expect(response).to.have.status(200);
+              expect(response.body).to.deep.equal(lowerCaseResult);
+            });
+        });
+    });
+
+    it('should accept phenomenon ids and aliases', function () {
+      return chakram.get(BASE_URL + '/boxes/latest?phenomenon=relative_humidity')
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          let idResult = response.body;
+          return chakram.get(BASE_URL + '/boxes/latest?phenomenon=Luftfeuchtigkeit')
+            .then(function (response) {
+              expect(response).to.have.status(200);
+              expect(response.body).to.deep.equal(idResult);
+            });
+        });
+    });
+
+    it('should link sensors to their phenomenon', function () {
+      return chakram.get(BASE_URL + '/boxes/' + boxId)
+        .then(function (response) {
+          let sensor = response.body.sensors.find(s => s.title === 'Temperatur');
+          expect(sensor.phenomenon).to.equal('temperature');
+          return chakram.get(BASE_URL + '/phenomena');
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body.map(p => p.id)).to.include('temperature');
+        });
+    });
+
+    it('should convert measurements to the requested unit', function () {
+      return chakram.get(BASE_URL + '/boxes/' + boxId)
+        .then(function (response) {
+          let sensor = response.body.sensors.find(s => s.title === 'Temperatur');
+          return chakram.post(BASE_URL + '/boxes/' + boxId + '/' + sensor._id, { value: 20 })
+            .then(function (response) {
+              expect(response).to.have.status(201);
+              return chakram.get(BASE_URL + '/boxes/' + boxId + '/data/' + sensor._id + '?unit=°F');
+            });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body.map(m => m.value)).to.include(68);
+          return chakram.get(BASE_URL + '/boxes/' + boxId + '/sensors?unit=K');
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          let sensor = response.body.sensors.find(s => s.title === 'Temperatur');
+          expect(sensor.unit).to.equal('K');
+          expect(sensor.lastMeasurement.value).to.equal(293.15);
+        });
+    });
+
+    it('should return 422 error on unsupported unit conversions', function () {
+      let response = chakram.get(BASE_URL + '/boxes/' + boxId + '/data/' + sensorId + '?unit=mph');
+      expect(response).to.have.status(422);
+      return chakram.wait();
+    });
+
+    it('should return measurements of multiple boxes as geojson', function () {
+      let response = chakram.get(BASE_URL + '/boxes/data?boxid=' + boxId + '&phenomenon=temperature&format=geojson&columns=createdAt,value,boxId');
+      expect(response).to.have.status(200);
+      expect(response).to.have.json(function (json) {
+        expect(json.type).to.equal('FeatureCollection');
+        expect(json.features).to.have.length.above(0);
+        expect(json.features[0].geometry.coordinates).to.deep.equal([-39.19921875, 47.754097979680026]);
+        expect(json.features[0].properties.boxId).to.equal(boxId);
+      });
+      return chakram.wait();
+    });
+
+    it('should return measurements of multiple boxes as json', function () {
+      let response = chakram.get(BASE_URL + '/boxes/data?boxid=' + boxId + '&phenomenon=temperature&format=json');
+      expect(response).to.have.status(200);
+      expect(response).to.have.json(function (json) {
+        expect(json[0].lat).to.equal(47.754097979680026);
+        expect(json[0].lng).to.equal(-39.19921875);
+      });
+      return chakram.wait();
+    });
+
+    it('should return measurements of several phenomena selected by bbox in wide layout', function () {
+      let response = chakram.get(BASE_URL + '/boxes/data?bbox=-40,47,-39,48&phenomenon=temperature,relative_humidity&layout=wide&format=json');
+      expect(response).to.have.status(200);
+      expect(response).to.have.json(function (json) {
+        expect(json).to.have.length.above(0);
+        expect(json[0].boxId).to.equal(boxId);
+        expect(json[0]).to.include.keys('createdAt', 'lat', 'lng');
+        expect(json.some(row => typeof row.temperature !== 'undefined')).to.be.true;
+      });
+      return chakram.wait();
+    });
+
+    it('should return 409 error on multi-box data download without boxid or filter', function () {
+      let response = chakram.get(BASE_URL + '/boxes/data?phenomenon=temperature');
+      expect(response).to.have.status(409);
+      return chakram.wait();
+    });
+
+    it('should return all sensors of a box resampled onto a common time grid', function () {
+      let response = chakram.get(BASE_URL + '/boxes/' + boxId + '/data?interval=1h&fill=previous');
+      expect(response).to.have.status(200);
+      expect(response).to.have.json(function (json) {
+        expect(json).to.have.length.within(48, 49);
+        expect(json[0]).to.include.keys('createdAt', sensorId);
+        let values = json.map(row => row[sensorId]);
+        expect(values[values.length - 1]).to.equal(15);
+      });
+      return chakram.wait();
+    });
+
+    it('should return 409 error on resampling without interval or with invalid fill', function () {
+      return chakram.get(BASE_URL + '/boxes/' + boxId + '/data')
+        .then(function (response) {
+          expect(response).to.have.status(409);
+          return chakram.get(BASE_URL + '/boxes/' + boxId + '/data?interval=1h&fill=potato');
+        })
+        .then(function (response) {
+          expect(response).to.have.status(409);
+        });
+    });
+
+    it('should interpolate a phenomenon onto a grid', function () {
+      let response = chakram.get(BASE_URL + '/boxes/interpolation?phenomenon=temperature&bbox=-40,47,-39,48&cellSize=0.5');
+      expect(response).to.have.status(200);
+      expect(response).to.have.json(function (json) {
+        expect(json.columns).to.equal(2);
+        expect(json.rows).to.equal(2);
+        expect(json.boxes).to.equal(1);
+        expect(json.values[0][0]).to.equal(20);
+      });
+      return chakram.wait();
+    });
+
+    it('should return 409 error on interpolation without bbox', function () {
+      let response = chakram.get(BASE_URL + '/boxes/interpolation?phenomenon=temperature');
+      expect(response).to.have.status(409);
+      return chakram.wait();
+    });
+
+    it('should group the latest values of a phenomenon into cells', function () {
+      let response = chakram.get(BASE_URL + '/boxes/bins?phenomenon=temperature&shape=square&cellSize=1&bbox=-40,47,-39,48');
+      expect(response).to.have.status(200);
+      expect(response).to.have.json(function (json) {
+        expect(json).to.have.lengthOf(1);
+        expect(json[0]).to.deep.equal({ lng: -39.5, lat: 47.5, count: 1, mean: 20, min: 20, max: 20 });
+      });
+      return chakram.wait();
+    });
+
+    it('should return 409 error on invalid cell shape', function () {
+      let response = chakram.get(BASE_URL + '/boxes/bins?phenomenon=temperature&shape=triangle');
+      expect(response).to.have.status(409);
+      return chakram.wait();
+    });
+
+    it('should return single senseBoxes unclustered with ?cluster=true', function () {
+      let response = chakram.get(BASE_URL + '/boxes?format=geojson&cluster=true&zoom=3');
+      expect(response).to.have.status(200);
+      expect(response).to.have.json(function (json) {
+        expect(json.type).to.equal('FeatureCollection');
+        expect(json.features).to.have.lengthOf(1);
+        expect(json.features[0].properties._id).to.equal(boxId);
+        expect(json.features[0].properties.cluster).to.be.undefined;
+      });
+      return chakram.wait();
+    });
+
+    it('should return 409 error on clustering without zoom or geojson', function () {
+      return chakram.get(BASE_URL + '/boxes?format=geojson&cluster=true')
+        .then(function (response) {
+          expect(response).to.have.status(409);
+          return chakram.get(BASE_URL + '/boxes?cluster=true&zoom=3');
+        })
+        .then(function (response) {
+          expect(response).to.have.status(409);
+        });
+    });
+
+    it('should reject measurements with location for fixed senseBoxes', function () {
+      let response = chakram.post(BASE_URL + '/boxes/' + boxId + '/' + sensorId, { value: 1, location: { lat: 51.9, lng: 7.6 } });
+      expect(response).to.have.status(422);
+      return chakram.wait();
+    });
+
+    it('should keep the previous location when moving a senseBox', function () {
+      return chakram.put(BASE_URL + '/boxes/' + boxId, { loc: { lng: -39.5, lat: 47.5 } }, { headers: { 'x-apikey': apiKey } })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          return chakram.get(BASE_URL + '/boxes/' + boxId + '/locations');
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body).to.have.lengthOf(2);
+          expect(response.body[0].coordinates).to.deep.equal([-39.19921875, 47.754097979680026]);
+          expect(response.body[1].coordinates).to.deep.equal([-39.5, 47.5]);
+          return chakram.get(BASE_URL + '/boxes/' + boxId + '/locations?format=geojson');
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body.type).to.equal('FeatureCollection');
+          expect(response.body.features).to.have.lengthOf(2);
+        });
+    });
+
+    it('should refuse to move a senseBox to invalid coordinates', function () {
+      return chakram.put(BASE_URL + '/boxes/' + boxId, { loc: { lng: 'east', lat: 47.5 } }, { headers: { 'x-apikey': apiKey } })
+        .then(function (response) {
+          expect(response).to.have.status(422);
+          return chakram.put(BASE_URL + '/boxes/' + boxId, { loc: { lng: 7.6, lat: 95 } }, { headers: { 'x-apikey': apiKey } });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(422);
+          return chakram.get(BASE_URL + '/boxes/' + boxId + '/locations');
+        })
+        .then(function (response) {
+          expect(response.body).to.have.lengthOf(2);
+        });
+    });
+
+    it('should only accept measurements with a device token if the senseBox requires authentication', function () {
+      let token;
+      return chakram.put(BASE_URL + '/boxes/' + boxId, { requireAuthentication: true }, { headers: { 'x-apikey': apiKey } })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          return chakram.post(BASE_URL + '/boxes/' + boxId + '/' + sensorId, { value: 12 });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(403);
+          return chakram.post(BASE_URL + '/boxes/' + boxId + '/tokens', { name: 'arduino' }, { headers: { 'x-apikey': apiKey } });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          expect(response.body.token).to.be.a('string');
+          token = response.body;
+          return chakram.post(BASE_URL + '/boxes/' + boxId + '/' + sensorId, { value: 12 }, { headers: { 'x-device-token': token.token } });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          return chakram.get(BASE_URL + '/boxes/' + boxId + '/' + sensorId + '/submitMeasurement/13?token=' + token.token);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          return chakram.get(BASE_URL + '/boxes/' + boxId + '/tokens', { headers: { 'x-apikey': apiKey } });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body.tokens).to.have.lengthOf(1);
+          expect(response.body.tokens[0].hash).to.be.undefined;
+          return chakram.delete(BASE_URL + '/boxes/' + boxId + '/tokens/' + token._id, {}, { headers: { 'x-apikey': apiKey } });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          return chakram.post(BASE_URL + '/boxes/' + boxId + '/' + sensorId, { value: 14 }, { headers: { 'x-device-token': token.token } });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(403);
+          return chakram.put(BASE_URL + '/boxes/' + boxId, { requireAuthentication: false }, { headers: { 'x-apikey': apiKey } });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+        });
+    });
+
+    it('should allow to rotate the apikey with a grace period and revoke the previous apikey', function () {
+      let previousApiKey = apiKey;
+      return chakram.put(BASE_URL + '/boxes/' + boxId + '/apikey', { gracePeriod: 1 }, { headers: { 'x-apikey': apiKey } })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body.apikey).to.not.equal(previousApiKey);
+          expect(response.body.previousApikeyValidUntil).to.be.a('string');
+          apiKey = response.body.apikey;
+          return chakram.get(BASE_URL + '/users/' + boxId, { headers: { 'x-apikey': previousApiKey } });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          return chakram.put(BASE_URL + '/boxes/' + boxId + '/apikey', {}, { headers: { 'x-apikey': previousApiKey } });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(403);
+          return chakram.delete(BASE_URL + '/boxes/' + boxId + '/apikey/previous', {}, { headers: { 'x-apikey': apiKey } });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          return chakram.get(BASE_URL + '/users/' + boxId, { headers: { 'x-apikey': previousApiKey } });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(403);
+          return chakram.get(BASE_URL + '/users/' + boxId, { headers: { 'x-apikey': apiKey } });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+        });
+    });
+
+    it('should return 409 error on latest measurements without phenomenon', function () {
+      let response = chakram.get(BASE_URL + '/boxes/latest');
+      expect(response).to.have.status(409);
+      return chakram.wait();
+    });
+
+    it('should return 409 error on invalid bbox parameter', function () {
+      let response = chakram.get(BASE_URL + '/boxes?bbox=1,2,3');
+      expect(response).to.have.status(409);
+      return chakram.wait();
+    });
+
     it('should allow to delete a senseBox via DELETE', function () {
-      return chakram.delete(BASE_URL + '/boxes/' + boxId, {}, { headers: { "x-apikey": apiKey  } })
+      return chakram.delete(BASE_URL + '/boxes/' + boxId, {}, { headers: { 'x-apikey': apiKey } })
         .then(function (response) {
           expect(response).to.have.status(200);
           expect(response).to.have.header('content-type', 'application/json; charset=utf-8');
@@ -66,6 +714,250 @@ describe('openSenseMap API', function () {
           expect(response).to.have.header('content-type', 'application/json; charset=utf-8');
         });
     });
+
+    let mobileBoxId, mobileApiKey, mobileSensorId;
+
+    it('should allow to post measurements with location to mobile senseBoxes', function () {
+      let mobileSensebox = Object.assign({}, valid_sensebox, { boxType: 'mobile', orderID: randomApiKey() });
+      return chakram.post(BASE_URL + '/boxes', mobileSensebox)
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          mobileBoxId = response.body.boxes[0];
+          mobileApiKey = response.body.apikey;
+          return chakram.get(BASE_URL + '/boxes/' + mobileBoxId);
+        })
+        .then(function (response) {
+          mobileSensorId = response.body.sensors[0]._id;
+          let now = Date.now();
+          return chakram.post(BASE_URL + '/boxes/' + mobileBoxId + '/data', [
+            { sensor: mobileSensorId, value: '1', createdAt: new Date(now - 2000).toISOString(), location: { lat: 51.96, lng: 7.62 } },
+            { sensor: mobileSensorId, value: '2', createdAt: new Date(now - 1000).toISOString(), location: [7.63, 51.97, 60] }
+          ]);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          return chakram.get(BASE_URL + '/boxes/' + mobileBoxId);
+        })
+        .then(function (response) {
+          expect(response.body.loc[0].geometry.coordinates).to.deep.equal([7.63, 51.97, 60]);
+        });
+    });
+
+    it('should return the trajectory of a mobile senseBox as geojson', function () {
+      return chakram.get(BASE_URL + '/boxes/' + mobileBoxId + '/data/' + mobileSensorId + '?format=geojson')
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body.type).to.equal('FeatureCollection');
+          expect(response.body.features).to.have.lengthOf(2);
+          expect(response.body.features[0].geometry.coordinates).to.deep.equal([7.62, 51.96]);
+          return chakram.get(BASE_URL + '/boxes/' + mobileBoxId + '/data/' + mobileSensorId + '?format=geojson&geometry=linestring');
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body.geometry.type).to.equal('LineString');
+          expect(response.body.geometry.coordinates).to.deep.equal([[7.62, 51.96], [7.63, 51.97, 60]]);
+          expect(response.body.properties.value).to.deep.equal([1, 2]);
+          return chakram.delete(BASE_URL + '/boxes/' + mobileBoxId, {}, { headers: { 'x-apikey': mobileApiKey } });
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+        });
+    });
+  });
+
+  describe('/users', function () {
+    const account = { firstname: 'Ada', lastname: 'Lovelace', email: 'ada@example.com', password: 'analytical engine', language: 'en' };
+    let session, accountBoxId, claimedBoxId;
+
+    it('should allow to register a user account', function () {
+      return chakram.post(BASE_URL + '/users/register', account)
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          expect(response.body.token).to.be.a('string');
+          expect(response.body.user.password).to.be.undefined;
+          return chakram.post(BASE_URL + '/users/register', account);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(409);
+        });
+    });
+
+    it('should only create one account for concurrent registrations with the same email', function () {
+      const twin = Object.assign({}, account, { email: 'grace@example.com' });
+      return Promise.all([
+        chakram.post(BASE_URL + '/users/register', twin),
+        chakram.post(BASE_URL + '/users/register', twin)
+      ])
+        .then(function (responses) {
+          let statuses = responses.map(r => r.response.statusCode).sort();
+          expect(statuses).to.deep.equal([201, 409]);
+        });
+    });
+
+    it('should deny to sign in with a wrong password', function () {
+      let response = chakram.post(BASE_URL + '/users/sign-in', { email: account.email, password: 'wrong password' });
+      expect(response).to.have.status(403);
+      return chakram.wait();
+    });
+
+    it('should allow to add senseBoxes to the account of the signed in user', function () {
+      let headers;
+      return chakram.post(BASE_URL + '/users/sign-in', { email: account.email, password: account.password })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          session = response.body.token;
+          headers = { headers: { 'Authorization': 'Bearer ' + session } };
+          return chakram.post(BASE_URL + '/boxes', Object.assign({}, valid_sensebox, { user: undefined }), headers);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          accountBoxId = response.body.boxes[0];
+          return chakram.post(BASE_URL + '/boxes', Object.assign({}, valid_sensebox, { orderID: randomApiKey() }));
+        })
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          claimedBoxId = response.body.boxes[0];
+          return chakram.post(BASE_URL + '/users/me/boxes', { boxId: claimedBoxId, apikey: response.body.apikey }, headers);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          return chakram.get(BASE_URL + '/users/me', headers);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body.email).to.equal(account.email);
+          expect(response.body.boxes).to.have.lengthOf(2);
+          return chakram.put(BASE_URL + '/boxes/' + accountBoxId, { description: 'managed with a session' }, headers);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+        });
+    });
+
+    it('should keep the account when deleting one of its senseBoxes', function () {
+      let headers = { headers: { 'Authorization': 'Bearer ' + session } };
+      return chakram.delete(BASE_URL + '/boxes/' + accountBoxId, {}, headers)
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          return chakram.get(BASE_URL + '/users/me', headers);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body.boxes).to.have.lengthOf(1);
+        });
+    });
+
+    it('should enforce the roles of collaborators', function () {
+      const collaborator = { firstname: 'Charles', lastname: 'Babbage', email: 'charles@example.com', password: 'difference engine' };
+      let ownerHeaders = { headers: { 'Authorization': 'Bearer ' + session } },
+        collaboratorHeaders, collaboratorId;
+      return chakram.post(BASE_URL + '/users/register', collaborator)
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          collaboratorId = response.body.user._id;
+          collaboratorHeaders = { headers: { 'Authorization': 'Bearer ' + response.body.token } };
+          return chakram.put(BASE_URL + '/boxes/' + claimedBoxId, { description: 'not yet' }, collaboratorHeaders);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(403);
+          return chakram.post(BASE_URL + '/boxes/' + claimedBoxId + '/collaborators', { email: collaborator.email, role: 'editor' }, ownerHeaders);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          expect(response.body).to.have.lengthOf(1);
+          expect(response.body[0].role).to.equal('editor');
+          return chakram.put(BASE_URL + '/boxes/' + claimedBoxId, { description: 'edited by a collaborator' }, collaboratorHeaders);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          let sensor = { _id: response.body.sensors[0]._id, deleted: true };
+          return chakram.put(BASE_URL + '/boxes/' + claimedBoxId, { sensors: [sensor] }, collaboratorHeaders);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(403);
+          return chakram.put(BASE_URL + '/boxes/' + claimedBoxId, { requireAuthentication: false }, collaboratorHeaders);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(403);
+          return chakram.delete(BASE_URL + '/boxes/' + claimedBoxId, {}, collaboratorHeaders);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(403);
+          return chakram.get(BASE_URL + '/users/me', collaboratorHeaders);
+        })
+        .then(function (response) {
+          expect(response.body.sharedBoxes).to.have.lengthOf(1);
+          expect(response.body.sharedBoxes[0].role).to.equal('editor');
+          return chakram.delete(BASE_URL + '/boxes/' + claimedBoxId + '/collaborators/' + collaboratorId, {}, ownerHeaders);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          return chakram.get(BASE_URL + '/boxes/' + claimedBoxId + '/script', collaboratorHeaders);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(403);
+        });
+    });
+
+    it('should not let collaborators with the role owner replace the apikey', function () {
+      let ownerHeaders = { headers: { 'Authorization': 'Bearer ' + session } },
+        collaboratorHeaders;
+      return chakram.post(BASE_URL + '/users/sign-in', { email: 'charles@example.com', password: 'difference engine' })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          collaboratorHeaders = { headers: { 'Authorization': 'Bearer ' + response.body.token } };
+          return chakram.post(BASE_URL + '/boxes/' + claimedBoxId + '/collaborators', { email: 'charles@example.com', role: 'owner' }, ownerHeaders);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(201);
+          return chakram.put(BASE_URL + '/boxes/' + claimedBoxId + '/apikey', {}, collaboratorHeaders);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(403);
+          expect(response.body).to.not.have.property('apikey');
+          return chakram.delete(BASE_URL + '/boxes/' + claimedBoxId + '/apikey/previous', {}, collaboratorHeaders);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(403);
+          return chakram.put(BASE_URL + '/boxes/' + claimedBoxId + '/apikey', {}, ownerHeaders);
+        })
+        .then(function (response) {
+          expect(response).to.have.status(200);
+          expect(response.body.apikey).to.be.a('string');
+        });
+    });
+
+    it('should deny access to /users/me without session', function () {
+      let response = chakram.get(BASE_URL + '/users/me');
+      expect(response).to.have.status(403);
+      return chakram.wait();
+    });
+  });
+
+  describe('http in production', function () {
+    const utils = require('../lib/utils'),
+      uploadPath = '/boxes/5845a4b43d4c8200113ce28d/data';
+    let env;
+
+    before(function () {
+      env = process.env.ENV;
+      process.env.ENV = 'prod';
+    });
+
+    after(function () {
+      process.env.ENV = env;
+    });
+
+    it('should allow uploads with a device token in the query string', function () {
+      expect(utils.checkUnsecuredRequest({ method: 'POST', url: uploadPath + '?token=abc', headers: {} })).to.be.undefined;
+      expect(utils.checkUnsecuredRequest({ method: 'POST', url: '/boxes/5845a4b43d4c8200113ce28d/5845a4b43d4c8200113ce28e?token=abc', headers: {} })).to.be.undefined;
+    });
+
+    it('should deny other requests without https', function () {
+      expect(utils.checkUnsecuredRequest({ method: 'GET', url: uploadPath + '?token=abc', headers: {} })).to.be.an.instanceof(Error);
+      expect(utils.checkUnsecuredRequest({ method: 'POST', url: '/boxes?token=abc', headers: {} })).to.be.an.instanceof(Error);
+      expect(utils.checkUnsecuredRequest({ method: 'GET', url: '/boxes', headers: { 'x-forwarded-proto': 'https' } })).to.be.undefined;
+    });
   });
 
 });